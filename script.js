@@ -12,26 +12,134 @@
 // presentationData: Stores the parsed YAML data
 let presentationData = null;
 // Track previous section for change detection
-let previousSectionName = null;
+let previousSectionIndex = -1;
 // Wake lock reference
 let wakeLock = null;
+// Pause state: null while running, otherwise { pausedAt: Date, sectionIndex: number }
+let pauseState = null;
+// Whether the timeline shows the schedule editor (per device, not synced)
+let scheduleEditMode = false;
 // Key for storing presentation data in localStorage
 const STORAGE_KEY = 'presentationTimerConfig';
+// A time with a date in front, e.g. "2026-10-20T09:00:00"
+const DATED_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](.+)$/;
+
+// Timezones
+// Schedule times are wall-clock times at the venue. With a "timezone" in the configuration
+// they're converted with Intl, so a remote speaker's device counts down to the same moment
+const zoneFormatters = new Map();
+
+/**
+ * Gets the timezone schedule times are in
+ * @returns {string|null} - IANA timezone name, or null for the device's own
+ */
+function getScheduleTimeZone() {
+    return (presentationData && presentationData.timezone) || null;
+}
+
+/**
+ * Gets the wall-clock date and time of a moment in a timezone
+ * @param {Date} date - Moment in time
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} - year, month (0-11), day, hours, minutes and seconds
+ */
+function getZonedParts(date, timeZone) {
+    if (!zoneFormatters.has(timeZone)) {
+        zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+
+    const parts = {};
+    zoneFormatters.get(timeZone).formatToParts(date).forEach(part => {
+        parts[part.type] = parseInt(part.value, 10);
+    });
+    return {
+        year: parts.year,
+        month: parts.month - 1,
+        day: parts.day,
+        hours: parts.hour,
+        minutes: parts.minute,
+        seconds: parts.second
+    };
+}
+
+/**
+ * Creates a Date from a wall-clock date and time, in a timezone or the device's own
+ * Out-of-range days roll over as with the Date constructor
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {number} day - Day of the month
+ * @param {number} hours - Hours (0-23)
+ * @param {number} minutes - Minutes
+ * @param {number} seconds - Seconds
+ * @param {string|null} timeZone - IANA timezone name, or null for the device's own
+ * @returns {Date} - The moment that wall-clock time happens
+ */
+function createZonedDate(year, month, day, hours, minutes, seconds, timeZone) {
+    if (!timeZone) {
+        return new Date(year, month, day, hours, minutes, seconds);
+    }
+
+    // Guess with the offset at the wall-clock time read as UTC, then correct it once
+    // in case the guess landed on the other side of a daylight saving change
+    const wallClock = Date.UTC(year, month, day, hours, minutes, seconds);
+    const getOffset = (time) => {
+        const parts = getZonedParts(new Date(time), timeZone);
+        return Date.UTC(parts.year, parts.month, parts.day, parts.hours, parts.minutes, parts.seconds) - time;
+    };
+    let time = wallClock - getOffset(wallClock);
+    const correctedOffset = getOffset(time);
+    if (wallClock - correctedOffset !== time) {
+        time = wallClock - correctedOffset;
+    }
+    return new Date(time);
+}
+
+/**
+ * Gets the wall-clock date and time of a moment, in a timezone or the device's own
+ * @param {Date} date - Moment in time
+ * @param {string|null} timeZone - IANA timezone name, or null for the device's own
+ * @returns {Object} - year, month (0-11), day, hours, minutes and seconds
+ */
+function getWallClockParts(date, timeZone) {
+    if (timeZone) {
+        return getZonedParts(date, timeZone);
+    }
+    return {
+        year: date.getFullYear(),
+        month: date.getMonth(),
+        day: date.getDate(),
+        hours: date.getHours(),
+        minutes: date.getMinutes(),
+        seconds: date.getSeconds()
+    };
+}
 
 /**
  * Parses a time string in HH:MM:SS format to a Date object
  * Handles day rollover when times cross midnight
- * @param {string} timeString - Time string in format "HH:MM:SS"
+ * A date in front ("2026-10-20T09:00:00" or "2026-10-20 09:00:00") pins the time to that day
+ * @param {string} timeString - Time string in format "HH:MM:SS" or "YYYY-MM-DDTHH:MM:SS"
  * @param {Date} [referenceDate] - Reference date to compare against for day rollover detection
- * @returns {Date} - Date object with today's date and the specified time
+ * @param {string|null} [timeZone] - Timezone the time is in; defaults to the schedule's
+ * @returns {Date} - Date object with the given date, or else the reference date's (or today's), and the specified time
  */
-function parseTime(timeString, referenceDate = null) {
+function parseTime(timeString, referenceDate = null, timeZone = getScheduleTimeZone()) {
     try {
         if (typeof timeString !== 'string') {
             throw new Error('Time string must be a string');
         }
 
-        const timeParts = timeString.split(':');
+        const dateMatch = timeString.match(DATED_TIME_PATTERN);
+        const timeParts = (dateMatch ? dateMatch[4] : timeString).split(':');
         if (timeParts.length !== 3) {
             throw new Error('Time format must be HH:MM:SS');
         }
@@ -48,16 +156,26 @@ function parseTime(timeString, referenceDate = null) {
             throw new Error('Time components out of range');
         }
 
-        // Create date object with today's date and specified time
-        const now = new Date();
-        const date = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hours, minutes, seconds);
+        if (dateMatch) {
+            const year = parseInt(dateMatch[1], 10);
+            const month = parseInt(dateMatch[2], 10) - 1;
+            const day = parseInt(dateMatch[3], 10);
+            if (new Date(Date.UTC(year, month, day)).getUTCDate() !== day) {
+                throw new Error('Invalid date');
+            }
+            return createZonedDate(year, month, day, hours, minutes, seconds, timeZone);
+        }
+
+        // Create date object with the reference date's day (or today) and specified time
+        const day = getWallClockParts(referenceDate instanceof Date ? referenceDate : new Date(), timeZone);
+        let date = createZonedDate(day.year, day.month, day.day, hours, minutes, seconds, timeZone);
 
         // If we have a reference date, check if we need to add a day
         if (referenceDate && referenceDate instanceof Date) {
             // If this time appears to be earlier than the reference time,
             // it likely means we've crossed midnight and should be the next day
             if (date.getTime() < referenceDate.getTime()) {
-                date.setDate(date.getDate() + 1);
+                date = createZonedDate(day.year, day.month, day.day + 1, hours, minutes, seconds, timeZone);
             }
         }
 
@@ -71,17 +189,19 @@ function parseTime(timeString, referenceDate = null) {
 /**
  * Formats a Date object as HH:MM:SS string (24-hour format for internal use)
  * @param {Date} date - Date object to format
+ * @param {string|null} [timeZone] - Timezone to show the time in; defaults to the schedule's
  * @returns {string} - Time string in format "HH:MM:SS"
  */
-function formatTime(date) {
+function formatTime(date, timeZone = getScheduleTimeZone()) {
     try {
         if (!(date instanceof Date)) {
             throw new Error('Invalid date object');
         }
 
-        const hours = date.getHours().toString().padStart(2, '0');
-        const minutes = date.getMinutes().toString().padStart(2, '0');
-        const seconds = date.getSeconds().toString().padStart(2, '0');
+        const parts = getWallClockParts(date, timeZone);
+        const hours = parts.hours.toString().padStart(2, '0');
+        const minutes = parts.minutes.toString().padStart(2, '0');
+        const seconds = parts.seconds.toString().padStart(2, '0');
         
         return `${hours}:${minutes}:${seconds}`;
     } catch (error) {
@@ -90,6 +210,70 @@ function formatTime(date) {
     }
 }
 
+/**
+ * Formats a date as YYYY-MM-DD
+ * @param {Date} date - Date object to format
+ * @param {string|null} [timeZone] - Timezone to take the day from; defaults to the schedule's
+ * @returns {string} - Date string such as "2026-10-20"
+ */
+function formatDate(date, timeZone = getScheduleTimeZone()) {
+    const parts = getWallClockParts(date, timeZone);
+    const month = (parts.month + 1).toString().padStart(2, '0');
+    const day = parts.day.toString().padStart(2, '0');
+    return `${parts.year}-${month}-${day}`;
+}
+
+/**
+ * Formats a new start time, keeping the date if the schedule's start time has one
+ * @param {Date} date - New start time
+ * @returns {string} - "HH:MM:SS", or "YYYY-MM-DDTHH:MM:SS" for a dated schedule
+ */
+function formatStartTime(date) {
+    const dated = presentationData && DATED_TIME_PATTERN.test(presentationData.start_time);
+    return dated ? `${formatDate(date)}T${formatTime(date)}` : formatTime(date);
+}
+
+/**
+ * Shows the start time of day in every start time field (the header and the popup menu copy)
+ * Time fields can't show a date, so a dated start shows just its time
+ */
+function updateStartTimeInputs() {
+    if (!presentationData || !presentationData.start_time) return;
+
+    const dateMatch = presentationData.start_time.match(DATED_TIME_PATTERN);
+    const timeOfDay = dateMatch ? dateMatch[4] : presentationData.start_time;
+    const timeZone = getScheduleTimeZone();
+    document.querySelectorAll('#start-time-input').forEach(input => {
+        input.value = timeOfDay;
+        // The start time is entered in venue time
+        input.title = timeZone ? `Venue time (${timeZone})` : '';
+    });
+}
+
+/**
+ * Shows the time at the venue next to the current time, when this device's clock reads differently
+ * @param {Date} now - Current time
+ */
+function updateVenueClock(now) {
+    const element = document.getElementById('venue-time');
+    if (!element) return;
+
+    const timeZone = getScheduleTimeZone();
+    const differs = timeZone !== null &&
+        `${formatDate(now, timeZone)} ${formatTime(now, timeZone)}` !== `${formatDate(now, null)} ${formatTime(now, null)}`;
+    element.hidden = !differs;
+    if (differs) {
+        element.textContent = `Venue ${now.toLocaleTimeString('en-US', {
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hour12: true,
+            timeZone: timeZone,
+            timeZoneName: 'short'
+        })}`;
+    }
+}
+
 /**
  * Formats a Date object as HH:MM:SS AM/PM string for display
  * @param {Date} date - Date object to format
@@ -104,25 +288,90 @@ function formatTimeDisplay(date) {
     });
 }
 
+// Default warning stages: minutes remaining at which each stage starts (null disables a stage)
+const DEFAULT_WARNING_THRESHOLDS = {
+    yellow: 5,
+    red: 1,
+    flash: null
+};
+
+/**
+ * Gets the warning thresholds that apply to a section
+ * Section settings override the presentation's, which override the defaults
+ * @param {Object} [section] - Section to get thresholds for
+ * @returns {Object} - Thresholds keyed by stage ('yellow', 'red', 'flash')
+ */
+function getWarningThresholds(section = null) {
+    return Object.assign(
+        {},
+        DEFAULT_WARNING_THRESHOLDS,
+        presentationData && presentationData.warnings,
+        section && section.warnings
+    );
+}
+
+/**
+ * Converts a threshold to milliseconds remaining
+ * @param {number|Object|null} threshold - Minutes, { percent: n } of the section, or null
+ * @param {number} sectionMinutes - Total length of the section in minutes
+ * @returns {number} - Milliseconds remaining at which the stage starts (-Infinity if disabled)
+ */
+function getThresholdMs(threshold, sectionMinutes) {
+    if (threshold === null || typeof threshold === 'undefined') {
+        return -Infinity;
+    }
+    if (typeof threshold === 'object') {
+        return sectionMinutes * 60000 * threshold.percent / 100;
+    }
+    return threshold * 60000;
+}
+
+/**
+ * Determines the warning level for a running section
+ * This is the single rules engine behind the main countdown and the timeline colors
+ * @param {Object} section - Section data
+ * @param {number} remainingMs - Milliseconds left in the section
+ * @returns {string} - 'green', 'yellow', 'red' or 'flash'
+ */
+function getWarningLevel(section, remainingMs) {
+    const thresholds = getWarningThresholds(section);
+    const sectionMinutes = section.duration + (section.hold || 0);
+
+    if (remainingMs <= 0) return 'red';
+    if (remainingMs <= getThresholdMs(thresholds.flash, sectionMinutes)) return 'flash';
+    if (remainingMs <= getThresholdMs(thresholds.red, sectionMinutes)) return 'red';
+    if (remainingMs <= getThresholdMs(thresholds.yellow, sectionMinutes)) return 'yellow';
+    return 'green';
+}
+
+/**
+ * Gets the CSS classes for a warning level
+ * The flash stage keeps the red color and adds the flashing animation
+ * @param {string} level - Warning level from getWarningLevel
+ * @returns {Array<string>} - Class names
+ */
+function getWarningClasses(level) {
+    return level === 'flash' ? ['red', 'flash'] : [level];
+}
+
 /**
  * Determines the status of a section based on current time
+ * Past sections are red, upcoming sections green and the running section follows its warning thresholds
  * @param {Date} currentTime - Current time
  * @param {Date} startTime - Section start time
  * @param {Date} endTime - Section end time
- * @returns {string} - Status color ('red', 'yellow', or 'green')
+ * @param {Object} section - Section data, for its warning thresholds
+ * @returns {string} - Status color ('red', 'yellow', or 'green'), plus 'flash' in the final stage
  */
-function getTimeStatus(currentTime, startTime, endTime) {
+function getTimeStatus(currentTime, startTime, endTime, section) {
     const now = currentTime.getTime();
-    const end = endTime.getTime();
-    const fiveMinutesBefore = end - (5 * 60 * 1000);
 
-    if (now > end) {
+    if (now > endTime.getTime()) {
         return 'red';
-    } else if (now >= fiveMinutesBefore) {
-        return 'yellow';
-    } else {
+    } else if (now < startTime.getTime()) {
         return 'green';
     }
+    return getWarningClasses(getWarningLevel(section, endTime.getTime() - now)).join(' ');
 }
 
 /**
@@ -131,1329 +380,6018 @@ function getTimeStatus(currentTime, startTime, endTime) {
  * @returns {string} - Duration string in format "MM:SS"
  */
 function formatDuration(duration) {
+    // Countdowns to another day show days and hours, e.g. "1d 02:15:00"
+    if (duration >= 24 * 60 * 60000) {
+        const days = Math.floor(duration / (24 * 60 * 60000));
+        const hours = Math.floor((duration % (24 * 60 * 60000)) / (60 * 60000));
+        const minutes = Math.floor((duration % (60 * 60000)) / 60000);
+        const seconds = Math.floor((duration % 60000) / 1000);
+        return `${days}d ${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    }
     const minutes = Math.floor(duration / 60000);
     const seconds = Math.floor((duration % 60000) / 1000);
     return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
 }
 
 /**
- * Parses YAML text into presentation data object with validation
- * @param {string} yamlText - Raw YAML text to parse
- * @returns {Object} - Parsed and validated presentation data
- * @throws {Error} If the YAML data is invalid or missing required fields
+ * Parses a section duration into minutes
+ * Accepted forms:
+ * - Plain minutes: 10, 2.5, "10"
+ * - Units: "90s", "5m", "1h15m", "1h 15m 30s"
+ * - Clock style: "4:30" (mm:ss) or "1:15:00" (h:mm:ss)
+ * @param {number|string} value - Duration value from config or user input
+ * @returns {number} - Duration in minutes rounded to whole seconds, or NaN if invalid
  */
-function parseYAMLData(yamlText) {
-    // Parse YAML using our simple parser
-    const lines = yamlText.split('\n');
-    const data = { title: "", sections: [] };
-    let inSections = false;
-    
-    // Parse the YAML content
-    lines.forEach((line, index) => {
-        const originalLine = line;
-        line = line.trim();
-        console.log(`Line ${index}: "${originalLine}" -> "${line}"`);
-        
-        if (line === '' || line.startsWith('#')) return;
-        
-        if (line.startsWith('title:')) {
-            data.title = line.substring(6).trim().replace(/['"]+/g, '');
-            console.log('Parsed title:', data.title);
-        } else if (line.startsWith('start_time:')) {
-            data.start_time = line.substring(11).trim().replace(/['"]+/g, '');
-            console.log('Parsed start time:', data.start_time);
-        } else if (line === 'sections:') {
-            inSections = true;
-            console.log('Found sections');
-        } else if (inSections && line.startsWith('- name:')) {
-            const name = line.substring(7).trim().replace(/['"]+/g, '');
-            const section = { name: name };
-            data.sections.push(section);
-            console.log('Added section:', name);
-        } else if (inSections && data.sections.length > 0) {
-            const lastSection = data.sections[data.sections.length - 1];
-            if (line.startsWith('duration:')) {
-                const duration = parseInt(line.substring(9).trim());
-                lastSection.duration = duration;
-                console.log(`Set duration for ${lastSection.name}:`, duration, 'minutes');
-            }
-        }
-    });
+function parseSectionDuration(value) {
+    let minutes = NaN;
 
-    console.log('Parsed YAML data:', data);
+    if (typeof value === 'number') {
+        minutes = value;
+    } else if (typeof value === 'string') {
+        const text = value.trim().toLowerCase();
+        let match;
 
-    // Set default values if missing
-    if (!data.title) {
-        console.log('No title found in YAML, using default');
-        data.title = 'Presentation Timer';
+        if (/^\d+(\.\d+)?$/.test(text)) {
+            minutes = parseFloat(text);
+        } else if ((match = text.match(/^(\d+):([0-5]\d)$/))) {
+            minutes = parseInt(match[1], 10) + parseInt(match[2], 10) / 60;
+        } else if ((match = text.match(/^(\d+):([0-5]\d):([0-5]\d)$/))) {
+            minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10) + parseInt(match[3], 10) / 60;
+        } else if ((match = text.match(/^(?:(\d+(?:\.\d+)?)\s*h)?\s*(?:(\d+(?:\.\d+)?)\s*m)?\s*(?:(\d+(?:\.\d+)?)\s*s)?$/)) && text !== '') {
+            minutes = (parseFloat(match[1]) || 0) * 60 + (parseFloat(match[2]) || 0) + (parseFloat(match[3]) || 0) / 60;
+        }
     }
-    if (!data.start_time) {
-        console.log('No start_time found in YAML, using current time');
-        const now = new Date();
-        data.start_time = formatTime(now);
+
+    if (!isFinite(minutes)) {
+        return NaN;
+    }
+
+    // Schedules are computed at one-second resolution
+    return Math.round(minutes * 60) / 60;
+}
+
+/**
+ * Formats a duration in minutes as a compact label
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} - Label such as "10m", "4m 30s", "30s" or "1h 15m"
+ */
+function formatSectionDuration(minutes) {
+    const totalSeconds = Math.round(minutes * 60);
+    const hours = Math.floor(totalSeconds / 3600);
+    const mins = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const parts = [];
+
+    if (hours > 0) parts.push(`${hours}h`);
+    if (mins > 0) parts.push(`${mins}m`);
+    if (seconds > 0 || parts.length === 0) parts.push(`${seconds}s`);
+
+    return parts.join(' ');
+}
+
+/**
+ * Formats a duration in minutes for the timeline duration input
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} - Whole minutes ("10") or minutes and seconds ("4:30")
+ */
+function formatDurationInput(minutes) {
+    const totalSeconds = Math.round(minutes * 60);
+    const seconds = totalSeconds % 60;
+    const mins = Math.floor(totalSeconds / 60);
+
+    if (seconds === 0) {
+        return mins.toString();
     }
-    if (data.sections.length === 0) {
-        throw new Error('No sections found in YAML file');
+    return `${mins}:${seconds.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Gets how much longer (positive) or shorter (negative) a section runs than planned
+ * Time spent on hold counts toward the actual length
+ * @param {Object} section - Section with duration, planned_duration and optional hold
+ * @returns {number} - Difference in minutes, rounded to whole seconds
+ */
+function getSectionDelta(section) {
+    const planned = typeof section.planned_duration === 'undefined' ? section.duration : section.planned_duration;
+    return Math.round((section.duration + (section.hold || 0) - planned) * 60) / 60;
+}
+
+/**
+ * Formats a schedule difference with an explicit sign
+ * @param {number} minutes - Difference in minutes
+ * @returns {string} - Label such as "+2m", "-30s" or "±0"
+ */
+function formatScheduleDelta(minutes) {
+    if (Math.round(minutes * 60) === 0) {
+        return '±0';
     }
+    return `${minutes > 0 ? '+' : '-'}${formatSectionDuration(Math.abs(minutes))}`;
+}
 
-    // Validate sections and calculate times
-    let currentTime = parseTime(data.start_time);
-    
-    data.sections.forEach((section, index) => {
-        if (!section.name) {
-            throw new Error(`Section ${index} missing name`);
+/**
+ * Gets the CSS class for a schedule difference
+ * @param {number} minutes - Difference in minutes
+ * @returns {string} - 'over', 'under' or 'even'
+ */
+function getDeltaClass(minutes) {
+    const seconds = Math.round(minutes * 60);
+    if (seconds > 0) return 'over';
+    if (seconds < 0) return 'under';
+    return 'even';
+}
+
+/**
+ * Adds a number of minutes (possibly fractional) to a date
+ * @param {Date} date - Starting date
+ * @param {number} minutes - Minutes to add
+ * @returns {Date} - New Date object
+ */
+function addMinutes(date, minutes) {
+    return new Date(date.getTime() + Math.round(minutes * 60) * 1000);
+}
+
+/**
+ * Assigns consecutive start and end times to each section
+ * Two schedules are kept side by side:
+ * - Actual (start/end): uses the live duration, and the end includes any time the
+ *   section was on hold, which pushes later sections back
+ * - Planned (planned_start/planned_end): uses planned_duration, the duration as originally
+ *   loaded, so edits, skips and pauses can be compared against the plan
+ * @param {Array<Object>} sections - Sections with a duration (and optional hold) in minutes
+ * @param {string} startTime - Start time of the first section in HH:MM:SS format
+ * @param {string|null} [timeZone] - Timezone of the times; defaults to the schedule's
+ */
+function calculateSectionTimes(sections, startTime, timeZone = getScheduleTimeZone()) {
+    let currentTime = parseTime(startTime, null, timeZone);
+    let plannedTime = currentTime;
+
+    sections.forEach((section) => {
+        // The first time a section is scheduled, its duration becomes the plan
+        if (typeof section.planned_duration === 'undefined') {
+            section.planned_duration = section.duration;
         }
-        if (typeof section.duration === 'undefined') {
-            throw new Error(`Section "${section.name}" missing duration`);
+        // The duration kept in the saved configuration; only explicit edits change it
+        if (typeof section.saved_duration === 'undefined') {
+            section.saved_duration = typeof section.unscaled_duration === 'undefined' ? section.duration : section.unscaled_duration;
         }
-        
+
         // Set start time
-        section.start = formatTime(currentTime);
-        
-        // Calculate end time by adding duration in minutes
-        const endTime = parseTime(formatTime(currentTime), currentTime);
-        endTime.setMinutes(endTime.getMinutes() + section.duration);
-        section.end = formatTime(endTime);
-        
-        console.log(`Calculated times for ${section.name}: ${section.start} - ${section.end} (${section.duration} min)`);
-        
+        section.start = formatTime(currentTime, timeZone);
+
+        // Calculate end time by adding duration (plus any time the section was on hold) in minutes
+        const endTime = addMinutes(currentTime, section.duration + (section.hold || 0));
+        section.end = formatTime(endTime, timeZone);
+
+        // Planned times follow the original durations
+        const plannedEnd = addMinutes(plannedTime, section.planned_duration);
+        section.planned_start = formatTime(plannedTime, timeZone);
+        section.planned_end = formatTime(plannedEnd, timeZone);
+
+        console.log(`Calculated times for ${section.name}: ${section.start} - ${section.end} (${formatSectionDuration(section.duration)})`);
+
         // Move current time to end of this section for next section's start
         currentTime = endTime;
+        plannedTime = plannedEnd;
     });
+}
 
-    return data;
+/**
+ * Creates an Error describing a YAML syntax problem at a specific location
+ * @param {string} message - Description of the problem
+ * @param {number} line - Line number (1-based)
+ * @param {number} column - Column number (1-based)
+ * @returns {Error} - Error with line and column properties attached
+ */
+function createYAMLError(message, line, column) {
+    const error = new Error(`YAML syntax error at line ${line}, column ${column}: ${message}`);
+    error.name = 'YAMLSyntaxError';
+    error.line = line;
+    error.column = column;
+    return error;
 }
 
 /**
- * Loads presentation data from YAML file or returns default data if not available
- * @returns {Promise<Object>} - Parsed and validated presentation data or default data
+ * Parses YAML text into a plain object tree
+ * Supports the subset of YAML used by presentation configurations:
+ * - Block mappings and sequences, nested to any depth
+ * - Plain, 'single' and "double" quoted scalars (numbers, booleans and null are typed)
+ * - Flow collections such as [a, b] and {name: Intro, duration: 5}, including across lines
+ * - Literal (|) and folded (>) block scalars with chomping indicators
+ * - Full-line and inline comments
+ * Anchors, aliases, tags and multi-document streams are not supported.
+ * @param {string} yamlText - Raw YAML text to parse
+ * @returns {*} - Parsed value, or null for an empty document
+ * @throws {Error} If the text is not valid YAML (error includes line and column)
  */
-async function loadPresentationData() {
-    try {
-        console.log('Loading YAML file...');
-        const response = await fetch('presentation_times.yaml');
-        if (!response.ok) {
-            if (response.status === 404) {
-                console.log('YAML file not found, using default data');
-                return {
-                    title: 'Presentation Timer',
-                    start_time: formatTime(new Date()),
-                    sections: []
-                };
+function parseYAML(yamlText) {
+    const lines = String(yamlText)
+        .replace(/\r\n?/g, '\n')
+        .split('\n')
+        .map((text, index) => ({ text: text, number: index + 1 }));
+    let pos = 0;
+
+    // Finds the closing quote for the quoted scalar starting at `start`, or -1
+    function findClosingQuote(text, start) {
+        const quote = text[start];
+        for (let i = start + 1; i < text.length; i++) {
+            if (quote === '"' && text[i] === '\\') {
+                i++;
+            } else if (text[i] === quote) {
+                if (quote === "'" && text[i + 1] === "'") {
+                    i++;
+                    continue;
+                }
+                return i;
             }
-            throw new Error(`HTTP error! status: ${response.status}`);
         }
-        const text = await response.text();
-        console.log('YAML content loaded');
-        
-        // Parse and validate the YAML data
-        return parseYAMLData(text);
-    } catch (error) {
-        console.error('Error loading YAML file:', error);
-        if (error.message.includes('Failed to fetch')) {
-            console.log('Using default data due to fetch error');
-            return {
-                title: 'Presentation Timer',
-                start_time: formatTime(new Date()),
-                sections: []
-            };
+        return -1;
+    }
+
+    // Quotes only open a scalar at the start of a token, so "Bob's talk" stays plain
+    function opensQuote(text, i) {
+        return (text[i] === '"' || text[i] === "'") && (i === 0 || /[\s\[\]{},:-]/.test(text[i - 1]));
+    }
+
+    // Removes a trailing comment, ignoring # characters inside quoted scalars
+    function stripComment(text) {
+        for (let i = 0; i < text.length; i++) {
+            if (opensQuote(text, i)) {
+                const end = findClosingQuote(text, i);
+                if (end === -1) return text;
+                i = end;
+            } else if (text[i] === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+                return text.slice(0, i);
+            }
         }
-        throw new Error(`Failed to load presentation data: ${error.message}`);
+        return text;
     }
-}
 
-/**
- * Recalculates section times based on a new start time
- * @param {string} newStartTime - New start time in HH:MM:SS format
- */
-function recalculateTimesFromStart(newStartTime) {
-    if (!presentationData || !presentationData.sections) {
-        console.error('No presentation data available for recalculation');
-        return;
+    // Returns the indentation of a line, rejecting tabs
+    function indentOf(line) {
+        const leading = line.text.match(/^[ \t]*/)[0];
+        const tab = leading.indexOf('\t');
+        if (tab !== -1) {
+            throw createYAMLError('Tabs are not allowed for indentation', line.number, tab + 1);
+        }
+        return leading.length;
     }
-    
-    try {
-        console.log('Recalculating times from new start time:', newStartTime);
-        
-        // Update the start time
-        presentationData.start_time = newStartTime;
-        
-        // Recalculate all section times
-        let currentTime = parseTime(newStartTime);
-        
-        presentationData.sections.forEach((section) => {
-            // Set start time
-            section.start = formatTime(currentTime);
-            
-            // Calculate end time by adding duration in minutes
-            const endTime = parseTime(formatTime(currentTime), currentTime);
-            endTime.setMinutes(endTime.getMinutes() + section.duration);
-            section.end = formatTime(endTime);
-            
-            // Move current time to end of this section for next section's start
-            currentTime = endTime;
-        });
-        
-        console.log('All section times recalculated successfully');
-        
-        // Force update the timeline display immediately
-        updateTimelineDisplay();
-        
-    } catch (error) {
-        console.error('Error recalculating times:', error);
+
+    function isSequenceEntry(body) {
+        return body === '-' || body.startsWith('- ');
     }
-}
 
-/**
- * Updates just the timeline display (extracted for reuse)
- */
-function updateTimelineDisplay() {
-    try {
-        const currentTime = new Date();
-        const timeline = document.getElementById('timeline');
-        const nextSectionElement = document.getElementById('next-section');
-        if (!presentationData) return;
+    // Advances past blank lines, comment lines and document markers
+    function skipBlankLines() {
+        while (pos < lines.length) {
+            const content = stripComment(lines[pos].text).trim();
+            if (content !== '' && content !== '---' && content !== '...') return;
+            pos++;
+        }
+    }
 
-        // Get current section to highlight it
-        const currentSection = getCurrentSection(currentTime);
-        const currentSectionName = currentSection ? currentSection.name : null;
-        const currentSectionIndex = currentSection ? presentationData.sections.findIndex(s => s.name === currentSectionName) : -1;
-        
-        // Update next section display for landscape mode
-        if (nextSectionElement) {
-            let nextSection = null;
-            
-            if (currentSectionIndex !== -1 && currentSectionIndex < presentationData.sections.length - 1) {
-                // Get the next section after current one
-                nextSection = presentationData.sections[currentSectionIndex + 1];
-            } else if (currentSectionIndex === -1 && presentationData.sections.length > 0) {
-                // If no current section or before presentation starts, show first section
-                nextSection = presentationData.sections[0];
+    // Finds the ":" that separates a mapping key from its value, or -1
+    function findMappingColon(body) {
+        if (body.startsWith('[') || body.startsWith('{')) return -1;
+        for (let i = 0; i < body.length; i++) {
+            if (opensQuote(body, i)) {
+                const end = findClosingQuote(body, i);
+                if (end === -1) return -1;
+                i = end;
+            } else if (body[i] === ':' && (i + 1 === body.length || /\s/.test(body[i + 1]))) {
+                return i;
             }
-            
-            if (nextSection) {
-                nextSectionElement.textContent = `${nextSection.name} (${nextSection.duration}m)`;
+        }
+        return -1;
+    }
+
+    function unquote(token, lineNumber, column) {
+        const inner = token.slice(1, -1);
+        if (token[0] === "'") {
+            return inner.replace(/''/g, "'");
+        }
+
+        const escapes = { n: '\n', t: '\t', r: '\r', '0': '\0', '"': '"', '\\': '\\', '/': '/', ' ': ' ', b: '\b', f: '\f', e: '\x1b' };
+        let result = '';
+        for (let i = 0; i < inner.length; i++) {
+            if (inner[i] !== '\\') {
+                result += inner[i];
+                continue;
+            }
+            const code = inner[i + 1];
+            if (code === 'x' || code === 'u') {
+                const length = code === 'x' ? 2 : 4;
+                const hex = inner.substr(i + 2, length);
+                if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== length) {
+                    throw createYAMLError(`Invalid \\${code} escape`, lineNumber, column + i + 1);
+                }
+                result += String.fromCharCode(parseInt(hex, 16));
+                i += length + 1;
+            } else if (Object.prototype.hasOwnProperty.call(escapes, code)) {
+                result += escapes[code];
+                i++;
             } else {
-                nextSectionElement.textContent = "End of presentation";
+                throw createYAMLError(`Unknown escape sequence "\\${code || ''}"`, lineNumber, column + i + 1);
             }
         }
-        
-        // Check if we need to update the timeline at all
-        const existingItems = timeline.querySelectorAll('.timeline-item');
-        const needsFullRebuild = existingItems.length !== presentationData.sections.length;
-        
-        // Track which input has focus (if any)
-        const focusedInput = document.activeElement;
-        let focusedIndex = -1;
-        let focusedValue = '';
-        
-        if (focusedInput && focusedInput.classList.contains('duration-input')) {
-            focusedIndex = parseInt(focusedInput.closest('.timeline-item').id.replace('section-', ''));
-            focusedValue = focusedInput.value;
+        return result;
+    }
+
+    function parsePlainScalar(text, lineNumber, column) {
+        if (/^[&*!]/.test(text)) {
+            throw createYAMLError('Anchors, aliases and tags are not supported', lineNumber, column);
         }
-        
-        // Only rebuild if necessary
-        if (needsFullRebuild) {
-            timeline.innerHTML = '';
-            
-            presentationData.sections.forEach((section, index) => {
-                createTimelineItem(section, index, currentSectionIndex, currentTime);
-            });
-        } else {
-            // Just update the existing items
-            presentationData.sections.forEach((section, index) => {
-                updateTimelineItem(section, index, currentSectionIndex, currentTime, timeline);
-            });
+        if (text === '' || text === '~' || /^(null|Null|NULL)$/.test(text)) return null;
+        if (/^(true|True|TRUE)$/.test(text)) return true;
+        if (/^(false|False|FALSE)$/.test(text)) return false;
+        if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+        return text;
+    }
+
+    // Parses a single scalar token (quoted or plain) found in block context
+    function parseScalar(text, lineNumber, column) {
+        if (text[0] === '"' || text[0] === "'") {
+            const end = findClosingQuote(text, 0);
+            if (end === -1) {
+                throw createYAMLError('Unterminated quoted string', lineNumber, column);
+            }
+            if (text.slice(end + 1).trim() !== '') {
+                throw createYAMLError('Unexpected content after quoted string', lineNumber, column + end + 1);
+            }
+            return unquote(text.slice(0, end + 1), lineNumber, column);
         }
-        
-        // Restore focus if needed
-        if (focusedIndex >= 0 && focusedIndex < presentationData.sections.length) {
-            const input = document.querySelector(`#section-${focusedIndex} .duration-input`);
-            if (input) {
-                input.focus();
-                if (input.value !== focusedValue) {
-                    input.value = focusedValue;
+        return parsePlainScalar(text, lineNumber, column);
+    }
+
+    // Parses a flow collection; `source` may span several lines joined with "\n"
+    function parseFlowCollection(source, lineNumber, column) {
+        let i = 0;
+
+        function fail(message, offset) {
+            const before = source.slice(0, offset).split('\n');
+            const failLine = lineNumber + before.length - 1;
+            const failColumn = before.length === 1 ? column + offset : before[before.length - 1].length + 1;
+            return createYAMLError(message, failLine, failColumn);
+        }
+
+        function skipSpace() {
+            while (i < source.length && /\s/.test(source[i])) i++;
+        }
+
+        function parseFlowValue(isKey) {
+            skipSpace();
+            const ch = source[i];
+            if (ch === '[') return parseFlowSequence();
+            if (ch === '{') return parseFlowMapping();
+            if (ch === '"' || ch === "'") {
+                const end = findClosingQuote(source, i);
+                if (end === -1) throw fail('Unterminated quoted string', i);
+                const start = i;
+                i = end + 1;
+                return unquote(source.slice(start, end + 1), lineNumber, column + start);
+            }
+
+            const start = i;
+            while (i < source.length && !/[,\[\]{}]/.test(source[i])) {
+                if (source[i] === ':' && (isKey || /[\s,\]}]/.test(source[i + 1] || ' '))) break;
+                i++;
+            }
+            const text = source.slice(start, i).trim();
+            if (text === '' && i < source.length && !/[,\]}:]/.test(source[i])) {
+                throw fail(`Unexpected character "${source[i]}"`, i);
+            }
+            return parsePlainScalar(text, lineNumber, column + start);
+        }
+
+        function parseFlowSequence() {
+            const items = [];
+            i++;
+            skipSpace();
+            if (source[i] === ']') {
+                i++;
+                return items;
+            }
+            while (true) {
+                items.push(parseFlowValue(false));
+                skipSpace();
+                if (source[i] === ',') {
+                    i++;
+                    skipSpace();
+                    if (source[i] === ']') {
+                        i++;
+                        return items;
+                    }
+                } else if (source[i] === ']') {
+                    i++;
+                    return items;
+                } else {
+                    throw fail(i >= source.length ? 'Unterminated flow sequence' : `Unexpected character "${source[i]}" in flow sequence`, i);
                 }
             }
         }
-        
-        // Auto-scroll to current section if it changed
-        if (currentSectionName !== previousSectionName) {
-            console.log('Section changed from', previousSectionName, 'to', currentSectionName);
-            scrollToCurrentSection(currentSectionIndex);
-            previousSectionName = currentSectionName;
+
+        function parseFlowMapping() {
+            const result = {};
+            i++;
+            skipSpace();
+            if (source[i] === '}') {
+                i++;
+                return result;
+            }
+            while (true) {
+                const keyOffset = i;
+                const key = String(parseFlowValue(true));
+                if (Object.prototype.hasOwnProperty.call(result, key)) {
+                    throw fail(`Duplicate key "${key}"`, keyOffset);
+                }
+                skipSpace();
+                let value = null;
+                if (source[i] === ':') {
+                    i++;
+                    value = parseFlowValue(false);
+                    skipSpace();
+                }
+                result[key] = value;
+                if (source[i] === ',') {
+                    i++;
+                    skipSpace();
+                    if (source[i] === '}') {
+                        i++;
+                        return result;
+                    }
+                } else if (source[i] === '}') {
+                    i++;
+                    return result;
+                } else {
+                    throw fail(i >= source.length ? 'Unterminated flow mapping' : `Unexpected character "${source[i]}" in flow mapping`, i);
+                }
+            }
         }
-    } catch (error) {
-        console.error('Error updating timeline display:', error);
+
+        const value = parseFlowValue(false);
+        skipSpace();
+        if (i < source.length) {
+            throw fail('Unexpected content after flow collection', i);
+        }
+        return value;
+    }
+
+    // Returns how many flow brackets are still open at the end of `text`
+    function flowDepth(text) {
+        let depth = 0;
+        for (let i = 0; i < text.length; i++) {
+            if (opensQuote(text, i)) {
+                const end = findClosingQuote(text, i);
+                if (end === -1) return depth;
+                i = end;
+            } else if (text[i] === '[' || text[i] === '{') {
+                depth++;
+            } else if (text[i] === ']' || text[i] === '}') {
+                depth--;
+            }
+        }
+        return depth;
+    }
+
+    // Parses a value that starts on the current line (scalar or flow collection)
+    function parseInlineValue(text, line, column) {
+        if (text[0] === '[' || text[0] === '{') {
+            let source = text;
+            const startPos = pos;
+            while (flowDepth(source) > 0) {
+                pos++;
+                if (pos >= lines.length) {
+                    throw createYAMLError('Unterminated flow collection', lines[startPos].number, column);
+                }
+                source += '\n' + stripComment(lines[pos].text);
+            }
+            pos++;
+            return parseFlowCollection(source, line.number, column);
+        }
+        pos++;
+        return parseScalar(text, line.number, column);
+    }
+
+    // Joins folded (>) block scalar lines: single breaks become spaces
+    function foldLines(blockLines) {
+        let result = '';
+        blockLines.forEach((text, index) => {
+            const previous = blockLines[index - 1];
+            if (index === 0) {
+                result = text;
+            } else if (text === '') {
+                result += '\n';
+            } else if (previous === '') {
+                result += text;
+            } else if (/^\s/.test(text) || /^\s/.test(previous)) {
+                result += '\n' + text;
+            } else {
+                result += ' ' + text;
+            }
+        });
+        return result;
+    }
+
+    // Parses a literal (|) or folded (>) block scalar whose header is on the current line
+    function parseBlockScalar(header, line, column, parentIndent) {
+        const match = header.match(/^([|>])(?:([+-])([1-9])?|([1-9])([+-])?)?$/);
+        if (!match) {
+            throw createYAMLError('Invalid block scalar header', line.number, column);
+        }
+        const style = match[1];
+        const chomping = match[2] || match[5] || '';
+        const explicitIndent = parseInt(match[3] || match[4], 10);
+        let blockIndent = explicitIndent ? parentIndent + explicitIndent : 0;
+
+        const collected = [];
+        pos++;
+        while (pos < lines.length) {
+            const text = lines[pos].text;
+            if (text.trim() === '') {
+                collected.push('');
+                pos++;
+                continue;
+            }
+            const lineIndent = text.match(/^ */)[0].length;
+            if (!blockIndent) {
+                if (lineIndent <= parentIndent) break;
+                blockIndent = lineIndent;
+            }
+            if (lineIndent < blockIndent) break;
+            collected.push(text.slice(blockIndent));
+            pos++;
+        }
+
+        // Trailing blank lines are handled by the chomping indicator
+        let trailingBreaks = 0;
+        while (collected.length > 0 && collected[collected.length - 1] === '') {
+            collected.pop();
+            trailingBreaks++;
+        }
+
+        if (collected.length === 0) {
+            return chomping === '+' ? '\n'.repeat(trailingBreaks) : '';
+        }
+
+        const value = style === '|' ? collected.join('\n') : foldLines(collected);
+        if (chomping === '-') return value;
+        if (chomping === '+') return value + '\n'.repeat(trailingBreaks + 1);
+        return value + '\n';
+    }
+
+    // Parses whatever follows a "key:" or "- " indicator
+    function parseValue(text, line, column, parentIndent, allowSameIndentSequence) {
+        if (text === '') {
+            pos++;
+            skipBlankLines();
+            if (pos >= lines.length) return null;
+            const nextIndent = indentOf(lines[pos]);
+            const nextBody = stripComment(lines[pos].text).trimEnd().slice(nextIndent);
+            if (nextIndent > parentIndent) {
+                return parseBlockNode(parentIndent + 1);
+            }
+            if (allowSameIndentSequence && nextIndent === parentIndent && isSequenceEntry(nextBody)) {
+                return parseSequence(parentIndent);
+            }
+            return null;
+        }
+        if (text[0] === '|' || text[0] === '>') {
+            return parseBlockScalar(text, line, column, parentIndent);
+        }
+        return parseInlineValue(text, line, column);
+    }
+
+    function parseMapping(indent) {
+        const result = {};
+        while (true) {
+            skipBlankLines();
+            if (pos >= lines.length) break;
+            const line = lines[pos];
+            const lineIndent = indentOf(line);
+            if (lineIndent < indent) break;
+            if (lineIndent > indent) {
+                throw createYAMLError('Unexpected indentation', line.number, lineIndent + 1);
+            }
+
+            const body = stripComment(line.text).trimEnd().slice(indent);
+            if (isSequenceEntry(body)) {
+                throw createYAMLError('Unexpected list item; expected "key: value"', line.number, indent + 1);
+            }
+            const colon = findMappingColon(body);
+            if (colon === -1) {
+                throw createYAMLError('Expected "key: value"', line.number, indent + 1);
+            }
+
+            const rawKey = body.slice(0, colon).trim();
+            const key = String(parseScalar(rawKey, line.number, indent + 1));
+            if (Object.prototype.hasOwnProperty.call(result, key)) {
+                throw createYAMLError(`Duplicate key "${key}"`, line.number, indent + 1);
+            }
+
+            const afterColon = body.slice(colon + 1);
+            const valueText = afterColon.trim();
+            const valueColumn = indent + colon + 2 + (afterColon.length - afterColon.trimStart().length);
+            result[key] = parseValue(valueText, line, valueColumn, indent, true);
+        }
+        return result;
+    }
+
+    function parseSequence(indent) {
+        const result = [];
+        while (true) {
+            skipBlankLines();
+            if (pos >= lines.length) break;
+            const line = lines[pos];
+            const lineIndent = indentOf(line);
+            if (lineIndent < indent) break;
+            if (lineIndent > indent) {
+                throw createYAMLError('Unexpected indentation', line.number, lineIndent + 1);
+            }
+
+            const body = stripComment(line.text).trimEnd().slice(indent);
+            if (!isSequenceEntry(body)) break;
+
+            const itemText = body.slice(1).trim();
+            const itemIndent = indent + 1 + (body.length - 1 - body.slice(1).trimStart().length);
+            if (itemText !== '' && (isSequenceEntry(itemText) || findMappingColon(itemText) !== -1)) {
+                // A compact nested node ("- name: x" or "- - x"): blank out the dash
+                // so the entry reads as a block node indented at its first character
+                lines[pos] = { text: ' '.repeat(itemIndent) + line.text.slice(itemIndent), number: line.number };
+                result.push(parseBlockNode(itemIndent));
+            } else {
+                result.push(parseValue(itemText, line, itemIndent + 1, indent, false));
+            }
+        }
+        return result;
+    }
+
+    // Parses the block node starting at the current line if it is indented at least `minIndent`
+    function parseBlockNode(minIndent) {
+        skipBlankLines();
+        if (pos >= lines.length) return null;
+        const line = lines[pos];
+        const indent = indentOf(line);
+        if (indent < minIndent) return null;
+
+        const body = stripComment(line.text).trimEnd().slice(indent);
+        if (isSequenceEntry(body)) return parseSequence(indent);
+        if (findMappingColon(body) !== -1) return parseMapping(indent);
+        if (body[0] === '|' || body[0] === '>') {
+            return parseBlockScalar(body, line, indent + 1, indent - 1);
+        }
+        return parseInlineValue(body, line, indent + 1);
     }
+
+    skipBlankLines();
+    if (pos >= lines.length) return null;
+    const root = parseBlockNode(0);
+    skipBlankLines();
+    if (pos < lines.length) {
+        const line = lines[pos];
+        throw createYAMLError('Unexpected content', line.number, indentOf(line) + 1);
+    }
+    return root;
 }
 
 /**
- * Creates a new timeline item
+ * Parses YAML text into presentation data object with validation
+ * @param {string} yamlText - Raw YAML text to parse
+ * @returns {Object} - Parsed and validated presentation data
+ * @throws {Error} If the YAML data is invalid or missing required fields
  */
-function createTimelineItem(section, index, currentSectionIndex, currentTime) {
-    try {
-        const timeline = document.getElementById('timeline');
-        if (!timeline) return;
-        
-        // Use the presentation start time as reference for day rollover detection
-        const presentationStartTime = parseTime(presentationData.start_time);
-        const startTime = parseTime(section.start, presentationStartTime);
-        const endTime = parseTime(section.end, startTime);
-        const status = getTimeStatus(currentTime, startTime, endTime);
-        
-        const item = document.createElement('div');
-        item.className = 'timeline-item';
-        item.id = `section-${index}`;
-        
-        // Highlight current section using index for unique identification
-        if (index === currentSectionIndex) {
-            item.classList.add('current-section');
-        }
-        
-        // Section name (left column)
-        const sectionName = document.createElement('div');
-        sectionName.className = 'section-name';
-        
-        // For responsive design, include duration in parentheses on small screens
-        const isResponsiveMode = window.matchMedia('(max-width: 768px), (max-height: 600px) and (orientation: landscape)').matches;
-        sectionName.textContent = isResponsiveMode ? 
-            `${section.name} (${section.duration}m)` : 
-            section.name;
-        
-        // Duration input (middle column)
-        const durationContainer = document.createElement('div');
-        durationContainer.className = 'duration-container';
-        
-        const durationInput = document.createElement('input');
-        durationInput.type = 'number';
-        durationInput.className = 'duration-input';
-        durationInput.value = section.duration;
-        durationInput.min = '1';
-        durationInput.max = '999';
-        durationInput.dataset.index = index;
-        durationInput.addEventListener('change', (event) => {
-            updateSectionDuration(parseInt(event.target.dataset.index), parseInt(event.target.value));
-        });
-        
-        const durationLabel = document.createElement('span');
-        durationLabel.className = 'duration-label';
-        durationLabel.textContent = ' min';
-        
-        durationContainer.appendChild(durationInput);
-        durationContainer.appendChild(durationLabel);
-        
-        // Time range (right column)
-        const timeBox = document.createElement('div');
-        timeBox.className = `time-box ${status}`;
-        timeBox.textContent = `${formatTimeDisplay(startTime)} - ${formatTimeDisplay(endTime)}`;
-        
-        // Add all three columns to the item
-        item.appendChild(sectionName);
-        item.appendChild(durationContainer);
-        item.appendChild(timeBox);
-        
-        timeline.appendChild(item);
-    } catch (error) {
-        console.error('Error creating timeline item:', error);
+function parseYAMLData(yamlText) {
+    const document = parseYAML(yamlText);
+    console.log('Parsed YAML data:', document);
+
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+        throw new Error('YAML file must be a mapping with a "sections" or "sessions" list');
+    }
+
+    // Validate fields and apply defaults for title and start time
+    const data = validateAndProcessYAML(document);
+
+    // Calculate section times, for every session in agenda mode
+    const timeZone = data.timezone || null;
+    if (data.sessions) {
+        data.sessions.forEach(session => calculateSectionTimes(session.sections, session.start_time, timeZone));
+    } else {
+        calculateSectionTimes(data.sections, data.start_time, timeZone);
     }
+
+    return data;
 }
 
 /**
- * Updates an existing timeline item
+ * Loads presentation data from YAML file or returns default data if not available
+ * @returns {Promise<Object>} - Parsed and validated presentation data or default data
  */
-function updateTimelineItem(section, index, currentSectionIndex, currentTime, timeline) {
+async function loadPresentationData() {
     try {
-        const item = document.getElementById(`section-${index}`);
-        if (!item) {
-            createTimelineItem(section, index, currentSectionName, currentTime);
-            return;
-        }
-        
-        // Update current section highlighting using index for unique identification
-        if (index === currentSectionIndex) {
-            item.classList.add('current-section');
-        } else {
-            item.classList.remove('current-section');
+        console.log('Loading YAML file...');
+        const response = await fetch('presentation_times.yaml');
+        if (!response.ok) {
+            if (response.status === 404) {
+                console.log('YAML file not found, using default data');
+                return {
+                    title: 'Presentation Timer',
+                    start_time: formatTime(new Date(), null),
+                    sections: []
+                };
+            }
+            throw new Error(`HTTP error! status: ${response.status}`);
         }
+        const text = await response.text();
+        console.log('YAML content loaded');
         
-        // Only update the time box if needed (skip the input to preserve focus)
-        const timeBox = item.querySelector('.time-box');
-        if (timeBox) {
-            const presentationStartTime = parseTime(presentationData.start_time);
-            const startTime = parseTime(section.start, presentationStartTime);
-            const endTime = parseTime(section.end, startTime);
-            const status = getTimeStatus(currentTime, startTime, endTime);
-            
-            timeBox.className = `time-box ${status}`;
-            timeBox.textContent = `${formatTimeDisplay(startTime)} - ${formatTimeDisplay(endTime)}`;
-        }
+        // Parse and validate the YAML data
+        return parseYAMLData(text);
     } catch (error) {
-        console.error('Error updating timeline item:', error);
+        console.error('Error loading YAML file:', error);
+        if (error.message.includes('Failed to fetch')) {
+            console.log('Using default data due to fetch error');
+            return {
+                title: 'Presentation Timer',
+                start_time: formatTime(new Date(), null),
+                sections: []
+            };
+        }
+        throw new Error(`Failed to load presentation data: ${error.message}`);
     }
 }
 
 /**
- * Updates a specific section's duration and recalculates all times
- * @param {number} sectionIndex - Index of the section to update
- * @param {number} newDuration - New duration in minutes
+ * Recalculates section times based on a new start time
+ * A time without a date, such as one typed into the start time field, keeps the date of a dated schedule
+ * @param {string} newStartTime - New start time in HH:MM:SS or YYYY-MM-DDTHH:MM:SS format
  */
-function updateSectionDuration(sectionIndex, newDuration) {
+function recalculateTimesFromStart(newStartTime) {
     if (!presentationData || !presentationData.sections) {
-        console.error('No presentation data available');
-        return;
-    }
-    
-    if (sectionIndex < 0 || sectionIndex >= presentationData.sections.length) {
-        console.error('Invalid section index:', sectionIndex);
-        return;
-    }
-    
-    if (!newDuration || newDuration < 1) {
-        console.error('Invalid duration:', newDuration);
+        console.error('No presentation data available for recalculation');
         return;
     }
     
     try {
-        console.log(`Updating ${presentationData.sections[sectionIndex].name} duration from ${presentationData.sections[sectionIndex].duration} to ${newDuration} minutes`);
+        console.log('Recalculating times from new start time:', newStartTime);
         
-        // Update the section duration
-        presentationData.sections[sectionIndex].duration = newDuration;
+        // Update the start time
+        const currentDate = String(presentationData.start_time).match(DATED_TIME_PATTERN);
+        presentationData.start_time = currentDate && !DATED_TIME_PATTERN.test(newStartTime) ?
+            `${currentDate[1]}-${currentDate[2]}-${currentDate[3]}T${newStartTime}` :
+            newStartTime;
+        updateStartTimeInputs();
         
-        // Recalculate all times from the start
-        recalculateTimesFromStart(presentationData.start_time);
+        // Recalculate all section times
+        calculateSectionTimes(presentationData.sections, presentationData.start_time);
         
-        // Update display
-        updateDisplay();
+        // Fit upcoming sections to the hard stop, if there is one
+        if (fitScheduleToHardStop()) {
+            calculateSectionTimes(presentationData.sections, presentationData.start_time);
+        }
+        
+        console.log('All section times recalculated successfully');
+        
+        // Force update the timeline display immediately
+        updateTimelineDisplay();
         
-        console.log('Section duration updated successfully');
     } catch (error) {
-        console.error('Error updating section duration:', error);
+        console.error('Error recalculating times:', error);
     }
 }
 
 /**
- * Updates the display with current time, section status, and timeline
+ * Rescales upcoming sections so the schedule finishes by the hard stop (end_time)
+ * Sections that have not started yet share the time left before the hard stop in
+ * proportion to their unscaled durations. Sections marked fixed keep their length, and
+ * sections never grow past their unscaled duration, so time given back later (e.g. by
+ * ending a section early) restores them.
+ * @returns {boolean} - True if any section durations changed
  */
-function updateDisplay() {
-    try {
-        if (!presentationData) {
-            console.error('No presentation data available');
-            return;
+function fitScheduleToHardStop() {
+    if (!presentationData || !presentationData.end_time || !presentationData.sections) {
+        return false;
+    }
+
+    const sections = presentationData.sections;
+    const presentationStartTime = parseTime(presentationData.start_time);
+    const hardStop = parseTime(presentationData.end_time, presentationStartTime);
+    const timerTimeMs = getTimerTime().getTime();
+
+    // Only sections that haven't started yet can be rescaled
+    const firstUpcoming = sections.findIndex(section =>
+        parseTime(section.start, presentationStartTime).getTime() > timerTimeMs
+    );
+    if (firstUpcoming === -1) {
+        return false;
+    }
+
+    const upcoming = sections.slice(firstUpcoming);
+    const availableMinutes = (hardStop.getTime() - parseTime(upcoming[0].start, presentationStartTime).getTime()) / 60000;
+    const getBaseDuration = (section) =>
+        typeof section.unscaled_duration !== 'undefined' ? section.unscaled_duration : section.duration;
+
+    let fixedMinutes = 0;
+    let flexibleMinutes = 0;
+    upcoming.forEach(section => {
+        if (section.fixed) {
+            fixedMinutes += section.duration + (section.hold || 0);
+        } else {
+            flexibleMinutes += getBaseDuration(section);
         }
+    });
 
-        const currentTime = new Date();
-        
-        // Update current time display
-        const currentTimeElement = document.getElementById('current-time');
-        if (currentTimeElement) {
-            currentTimeElement.textContent = formatTimeDisplay(currentTime);
+    let scale = 1;
+    if (fixedMinutes + flexibleMinutes > availableMinutes && flexibleMinutes > 0) {
+        scale = Math.max(0, (availableMinutes - fixedMinutes) / flexibleMinutes);
+    }
+    if (fixedMinutes > availableMinutes) {
+        console.warn('Fixed sections alone run past the hard stop');
+    }
+
+    let changed = false;
+    upcoming.forEach(section => {
+        if (section.fixed) return;
+
+        const baseDuration = getBaseDuration(section);
+        // Round down to whole seconds so the rounded schedule never overshoots
+        const newDuration = scale < 1 ? Math.floor(baseDuration * scale * 60) / 60 : baseDuration;
+
+        if (scale < 1) {
+            section.unscaled_duration = baseDuration;
+        } else {
+            delete section.unscaled_duration;
+        }
+
+        if (newDuration !== section.duration) {
+            console.log(`Rescaling ${section.name} from ${formatSectionDuration(section.duration)} to ${formatSectionDuration(newDuration)} to meet the hard stop`);
+            section.duration = newDuration;
+            changed = true;
         }
+    });
+
+    return changed;
+}
+
+// Agenda sessions
+// With a "sessions" list, the active session's start time, hard stop and sections are copied to
+// the top-level fields the rest of the timer works with. Those are the live copy; the session's
+// own entry is brought up to date from them before sessions are compared or switched
+
+/**
+ * Copies the live start time, hard stop and sections back into the active session
+ */
+function syncActiveSession() {
+    if (!presentationData || !presentationData.sessions) return;
+
+    const session = presentationData.sessions[presentationData.session_index];
+    session.start_time = presentationData.start_time;
+    session.sections = presentationData.sections;
+    if (presentationData.end_time) {
+        session.end_time = presentationData.end_time;
+    } else {
+        delete session.end_time;
+    }
+}
+
+/**
+ * Gets when a session ends, including edits and time on hold
+ * @param {Object} session - Session with start_time and sections
+ * @param {string|null} [timeZone] - Timezone of the start time; defaults to the schedule's
+ * @returns {Date} - End of the session's last section
+ */
+function getSessionEnd(session, timeZone = getScheduleTimeZone()) {
+    const minutes = session.sections.reduce((total, section) => total + section.duration + (section.hold || 0), 0);
+    return addMinutes(parseTime(session.start_time, null, timeZone), minutes);
+}
+
+/**
+ * Makes a session the active one
+ * @param {number} index - Session index
+ */
+function switchToSession(index) {
+    syncActiveSession();
+
+    const session = presentationData.sessions[index];
+    console.log(`Switching to session ${session.title}`);
+    presentationData.session_index = index;
+    presentationData.start_time = session.start_time;
+    presentationData.sections = session.sections;
+    if (session.end_time) {
+        presentationData.end_time = session.end_time;
+    } else {
+        delete presentationData.end_time;
+    }
+
+    recalculateTimesFromStart(session.start_time);
+}
+
+/**
+ * Moves on to the next session once the active one is over
+ * Until the next session starts, its countdown to the start shows the break
+ * @param {Date} time - Timer time
+ */
+function updateActiveSession(time) {
+    if (!presentationData || !presentationData.sessions || isPaused()) return;
+
+    syncActiveSession();
+    const sessions = presentationData.sessions;
+    let index = sessions.findIndex(session => getSessionEnd(session).getTime() > time.getTime());
+    if (index === -1) {
+        index = sessions.length - 1;
+    }
+
+    if (index !== presentationData.session_index) {
+        switchToSession(index);
+    }
+}
+
+/**
+ * Formats a day for display, e.g. "Tue, Oct 20"
+ * @param {Date} date - Date object to format
+ * @returns {string} - Short weekday, month and day
+ */
+function formatDayDisplay(date) {
+    return date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Shows which session is active under the title, e.g. "Day 2 · Tue, Oct 21 (2 of 2)"
+ */
+function updateSessionDisplay() {
+    const element = document.getElementById('session-name');
+    if (!element) return;
+
+    const sessions = presentationData && presentationData.sessions;
+    element.hidden = !sessions;
+    if (!sessions) return;
+
+    const session = sessions[presentationData.session_index];
+    const day = formatDayDisplay(parseTime(presentationData.start_time));
+    element.textContent = `${session.title} · ${day} (${presentationData.session_index + 1} of ${sessions.length})`;
+}
+
+/**
+ * Updates just the timeline display (extracted for reuse)
+ */
+function updateTimelineDisplay() {
+    try {
+        const currentTime = getTimerTime();
+        const timeline = document.getElementById('timeline');
+        const nextSectionElement = document.getElementById('next-section');
+        if (!presentationData) return;
+
+        // Get current section to highlight it
+        const currentSection = getCurrentSection(currentTime);
+        const currentSectionIndex = currentSection ? currentSection.index : -1;
         
-        // Check if we have any sections
-        if (!presentationData.sections || presentationData.sections.length === 0) {
-            const currentSectionNameElement = document.getElementById('current-section-name');
-            const timeRemainingElement = document.getElementById('time-remaining');
-            
-            if (currentSectionNameElement) {
-                currentSectionNameElement.textContent = 'No presentation data loaded';
-                currentSectionNameElement.className = '';
-            }
+        // Update next section display for landscape mode
+        if (nextSectionElement) {
+            let nextSection = null;
             
-            if (timeRemainingElement) {
-                timeRemainingElement.textContent = '00:00';
-                
-                // Don't modify classes if we're in narrow screen mode
-                if (!isNarrowScreen() || isLandscapeSmallScreen()) {
-                    timeRemainingElement.className = '';
-                }
+            if (currentSectionIndex !== -1 && currentSectionIndex < presentationData.sections.length - 1) {
+                // Get the next section after current one
+                nextSection = presentationData.sections[currentSectionIndex + 1];
+            } else if (currentSectionIndex === -1 && presentationData.sections.length > 0) {
+                // If no current section or before presentation starts, show first section
+                nextSection = presentationData.sections[0];
             }
             
-            // Clear the timeline
-            const timeline = document.getElementById('timeline');
-            if (timeline) {
-                timeline.innerHTML = `
-                    <div class="no-sections">
-                        <p>No timer configuration found. Please import a configuration file using the "Import Settings" button. </p>
-                        <p>Or <a href="sample-config.yaml" download="presentation-timer-config.yaml" class="download-link">download a sample configuration file</a> to get started.</p>
-                    </div>`;
+            if (nextSection) {
+                nextSectionElement.textContent = getNextSectionLabel(nextSection);
+            } else {
+                nextSectionElement.textContent = "End of presentation";
             }
-            
-            return;
         }
         
-        const currentSection = getCurrentSection(currentTime);
+        // Check if we need to update the timeline at all
+        const existingItems = timeline.querySelectorAll('.timeline-item');
+        const groups = getSectionGroups();
+        const groupLayout = groups.map(group => `${group.id}:${group.first}-${group.last}`).join(',');
+        const needsFullRebuild = existingItems.length !== presentationData.sections.length ||
+            timeline.classList.contains('edit-mode') !== scheduleEditMode ||
+            timeline.dataset.groups !== groupLayout;
         
-        // Update current section name and timer
-        const currentSectionNameElement = document.getElementById('current-section-name');
-        const currentSectionDurationElement = document.getElementById('current-section-duration');
-        const timeRemainingElement = document.getElementById('time-remaining');
+        // Track which input has focus (if any)
+        const focusedInput = document.activeElement;
+        let focusedIndex = -1;
+        let focusedValue = '';
         
-        // Check if presentation hasn't started yet
-        const presentationStartTime = parseTime(presentationData.start_time);
-        const currentTimeMs = currentTime.getTime();
-        const startTimeMs = presentationStartTime.getTime();
+        if (focusedInput && focusedInput.classList.contains('duration-input')) {
+            focusedIndex = parseInt(focusedInput.closest('.timeline-item').id.replace('section-', ''));
+            focusedValue = focusedInput.value;
+        }
         
-        if (currentTimeMs < startTimeMs) {
-            // Before presentation starts - show countdown to start
-            if (currentSectionNameElement) {
-                currentSectionNameElement.textContent = 'Time Until Start';
-                currentSectionNameElement.className = 'time-until-start';
-            }
-            if (currentSectionDurationElement) {
-                currentSectionDurationElement.textContent = '';
-            }
-            if (timeRemainingElement) {
-                const timeUntilStart = startTimeMs - currentTimeMs;
-                timeRemainingElement.textContent = formatDuration(timeUntilStart);
-                
-                // Don't modify classes if we're in narrow screen mode
-                if (!isNarrowScreen() || isLandscapeSmallScreen()) {
-                    timeRemainingElement.className = 'time-remaining blue';
-                } else {
-                    // Just add the color class without changing other classes
-                    timeRemainingElement.classList.add('blue');
-                }
-            }
-        } else if (currentSection) {
-            // During presentation - show current section
-            if (currentSectionNameElement) {
-                currentSectionNameElement.textContent = currentSection.name;
-                currentSectionNameElement.className = ''; // Remove any previous classes
-            }
-            if (currentSectionDurationElement) {
-                // Find the current section in our data to get its duration
-                const sectionData = presentationData.sections.find(section => section.name === currentSection.name);
-                if (sectionData) {
-                    currentSectionDurationElement.textContent = `${sectionData.duration} min`;
-                } else {
-                    currentSectionDurationElement.textContent = '';
-                }
-            }
-            if (timeRemainingElement) {
-                const timeRemaining = currentSection.end - currentTime.getTime();
-                timeRemainingElement.textContent = formatDuration(timeRemaining);
-                
-                // Add color class based on time remaining
-                if (!isNarrowScreen() || isLandscapeSmallScreen()) {
-                    // Only replace class in non-narrow screen mode
-                    timeRemainingElement.className = 'time-remaining';
-                } else {
-                    // In narrow screen mode, just make sure we have the necessary classes
-                    if (!timeRemainingElement.classList.contains('portrait-mode')) {
-                        timeRemainingElement.classList.add('portrait-mode');
-                    }
-                    if (!timeRemainingElement.classList.contains('narrow-screen')) {
-                        timeRemainingElement.classList.add('narrow-screen');
-                    }
+        // Only rebuild if necessary
+        if (needsFullRebuild) {
+            timeline.innerHTML = '';
+            timeline.classList.toggle('edit-mode', scheduleEditMode);
+            timeline.dataset.groups = groupLayout;
+            
+            presentationData.sections.forEach((section, index) => {
+                const group = groups.find(candidate => candidate.first === index);
+                if (group) {
+                    createTimelineGroup(group);
                 }
-                
-                // Remove any existing color classes
-                timeRemainingElement.classList.remove('red', 'yellow', 'green', 'blue');
-                
-                // Add the appropriate color class
-                if (timeRemaining <= 0) {
-                    timeRemainingElement.classList.add('red');
-                } else if (timeRemaining <= 1 * 60 * 1000) { // 1 minute or less
-                    timeRemainingElement.classList.add('red');
-                } else if (timeRemaining <= 5 * 60 * 1000) { // 5 minutes or less
-                    timeRemainingElement.classList.add('yellow');
-                } else {
-                    timeRemainingElement.classList.add('green');
+                createTimelineItem(section, index, currentSectionIndex, currentTime);
+            });
+        } else {
+            // Just update the existing items
+            presentationData.sections.forEach((section, index) => {
+                updateTimelineItem(section, index, currentSectionIndex, currentTime, timeline);
+            });
+        }
+        updateTimelineGroups(groups, currentSectionIndex, currentTime);
+        
+        // Restore focus if needed
+        if (focusedIndex >= 0 && focusedIndex < presentationData.sections.length) {
+            const input = document.querySelector(`#section-${focusedIndex} .duration-input`);
+            if (input) {
+                input.focus();
+                if (input.value !== focusedValue) {
+                    input.value = focusedValue;
                 }
             }
+        }
+        
+        // Auto-scroll to current section if it changed
+        if (currentSectionIndex !== previousSectionIndex) {
+            console.log('Section changed from', previousSectionIndex, 'to', currentSectionIndex);
+            scrollToCurrentSection(currentSectionIndex);
+            previousSectionIndex = currentSectionIndex;
+        }
+        
+        updateSpeakerTotals();
+    } catch (error) {
+        console.error('Error updating timeline display:', error);
+    }
+}
+
+/**
+ * Creates a new timeline item
+ */
+function createTimelineItem(section, index, currentSectionIndex, currentTime) {
+    try {
+        const timeline = document.getElementById('timeline');
+        if (!timeline) return;
+        
+        // Use the presentation start time as reference for day rollover detection
+        const presentationStartTime = parseTime(presentationData.start_time);
+        const startTime = parseTime(section.start, presentationStartTime);
+        const endTime = parseTime(section.end, startTime);
+        const status = getTimeStatus(currentTime, startTime, endTime, section);
+        
+        const item = document.createElement('div');
+        item.className = 'timeline-item';
+        item.id = `section-${index}`;
+        
+        // Highlight current section using index for unique identification
+        if (index === currentSectionIndex) {
+            item.classList.add('current-section');
+        }
+        
+        // Fixed sections keep their length when fitting to a hard stop
+        if (section.fixed) {
+            item.classList.add('fixed-section');
+            item.title = 'Fixed length: not shortened to meet the hard stop';
+        }
+        
+        // Section name (left column)
+        const sectionName = document.createElement('div');
+        sectionName.className = 'section-name';
+        
+        if (scheduleEditMode) {
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.className = 'section-name-input';
+            nameInput.value = section.name;
+            nameInput.setAttribute('aria-label', 'Section name');
+            nameInput.dataset.index = index;
+            nameInput.addEventListener('change', (event) => {
+                renameSection(parseInt(event.target.dataset.index), event.target.value);
+            });
+            sectionName.appendChild(nameInput);
         } else {
-            // Presentation is complete - show elapsed time since end
-            if (currentSectionNameElement) {
-                currentSectionNameElement.textContent = 'Presentation Complete';
-                currentSectionNameElement.className = 'presentation-complete'; // Add red styling
-            }
+            sectionName.textContent = getSectionNameLabel(section);
+        }
+        
+        // Duration input (middle column)
+        const durationContainer = document.createElement('div');
+        durationContainer.className = 'duration-container';
+        
+        const durationInput = document.createElement('input');
+        durationInput.type = 'text';
+        durationInput.className = 'duration-input';
+        durationInput.value = formatDurationInput(section.duration);
+        durationInput.title = 'Minutes, mm:ss or units such as 90s or 1h15m';
+        durationInput.dataset.index = index;
+        durationInput.addEventListener('change', (event) => {
+            const sectionIndex = parseInt(event.target.dataset.index);
+            const newDuration = parseSectionDuration(event.target.value);
+            
+            if (isNaN(newDuration) || newDuration <= 0) {
+                console.error('Invalid duration entered:', event.target.value);
+                event.target.value = formatDurationInput(presentationData.sections[sectionIndex].duration);
+                return;
+            }
+            
+            event.target.value = formatDurationInput(newDuration);
+            recordScheduleChange(`${presentationData.sections[sectionIndex].name} duration change`);
+            // Typing a duration edits the saved plan too, unlike + and -
+            presentationData.sections[sectionIndex].saved_duration = newDuration;
+            updateSectionDuration(sectionIndex, newDuration);
+        });
+        
+        const durationLabel = document.createElement('span');
+        durationLabel.className = 'duration-label';
+        durationLabel.textContent = ' min';
+        
+        durationContainer.appendChild(durationInput);
+        durationContainer.appendChild(durationLabel);
+        
+        // Difference from the planned duration
+        const deltaBox = document.createElement('div');
+        updateDeltaBox(deltaBox, section);
+        
+        // Time range (right column)
+        const timeBox = document.createElement('div');
+        timeBox.className = `time-box ${status}`;
+        timeBox.textContent = `${formatTimeDisplay(startTime)} - ${formatTimeDisplay(endTime)}`;
+        timeBox.title = getPlannedTimesLabel(section, presentationStartTime);
+        
+        // Add all columns to the item, with the editor's handle and row buttons in edit mode
+        if (scheduleEditMode) {
+            item.appendChild(createDragHandle(section, index));
+        }
+        item.appendChild(sectionName);
+        item.appendChild(durationContainer);
+        item.appendChild(deltaBox);
+        item.appendChild(timeBox);
+        if (scheduleEditMode) {
+            item.appendChild(createRowActions(section, index));
+        }
+        
+        applySpeakerTint(item, section);
+        timeline.appendChild(item);
+    } catch (error) {
+        console.error('Error creating timeline item:', error);
+    }
+}
+
+/**
+ * Gets the text for a section's name in the timeline
+ * Small screens hide the duration column, so the duration is shown with the name
+ * @param {Object} section - Section data
+ * @returns {string} - Name label
+ */
+function getSectionNameLabel(section) {
+    const isResponsiveMode = window.matchMedia('(max-width: 768px), (max-height: 600px) and (orientation: landscape)').matches;
+    return isResponsiveMode ?
+        `${section.name} (${formatSectionDuration(section.duration)})` :
+        section.name;
+}
+
+/**
+ * Describes a section's planned time range for tooltips
+ * @param {Object} section - Section with planned_start and planned_end
+ * @param {Date} presentationStartTime - Presentation start, for day rollover detection
+ * @returns {string} - Label such as "Planned: 09:00:00 AM - 09:10:00 AM"
+ */
+function getPlannedTimesLabel(section, presentationStartTime) {
+    if (!section.planned_start || !section.planned_end) {
+        return '';
+    }
+    const plannedStart = parseTime(section.planned_start, presentationStartTime);
+    const plannedEnd = parseTime(section.planned_end, plannedStart);
+    return `Planned: ${formatTimeDisplay(plannedStart)} - ${formatTimeDisplay(plannedEnd)}`;
+}
+
+/**
+ * Fills a timeline delta box with a section's difference from its planned duration
+ * @param {HTMLElement} deltaBox - The delta box element
+ * @param {Object} section - Section data
+ */
+function updateDeltaBox(deltaBox, section) {
+    const delta = getSectionDelta(section);
+    deltaBox.className = `delta-box ${getDeltaClass(delta)}`;
+    deltaBox.textContent = formatScheduleDelta(delta);
+    deltaBox.title = `Planned ${formatSectionDuration(section.planned_duration)}, actual ${formatSectionDuration(section.duration + (section.hold || 0))}`;
+}
+
+/**
+ * Updates an existing timeline item
+ */
+function updateTimelineItem(section, index, currentSectionIndex, currentTime, timeline) {
+    try {
+        const item = document.getElementById(`section-${index}`);
+        if (!item) {
+            createTimelineItem(section, index, currentSectionIndex, currentTime);
+            return;
+        }
+        
+        // Update current section highlighting using index for unique identification
+        if (index === currentSectionIndex) {
+            item.classList.add('current-section');
+        } else {
+            item.classList.remove('current-section');
+        }
+        
+        // Refresh the name and duration, e.g. after an undo or a reorder, unless they're being edited
+        const nameInput = item.querySelector('.section-name-input');
+        if (nameInput) {
+            if (nameInput !== document.activeElement) {
+                nameInput.value = section.name;
+            }
+        } else {
+            const sectionName = item.querySelector('.section-name');
+            const label = getSectionNameLabel(section);
+            if (sectionName && sectionName.textContent !== label) {
+                sectionName.textContent = label;
+            }
+        }
+        const durationInput = item.querySelector('.duration-input');
+        if (durationInput && durationInput !== document.activeElement) {
+            durationInput.value = formatDurationInput(section.duration);
+        }
+        applySpeakerTint(item, section);
+        
+        // Update the planned vs. actual difference
+        const deltaBox = item.querySelector('.delta-box');
+        if (deltaBox) {
+            updateDeltaBox(deltaBox, section);
+        }
+        
+        // Only update the time box if needed (skip the input to preserve focus)
+        const timeBox = item.querySelector('.time-box');
+        if (timeBox) {
+            const presentationStartTime = parseTime(presentationData.start_time);
+            const startTime = parseTime(section.start, presentationStartTime);
+            const endTime = parseTime(section.end, startTime);
+            const status = getTimeStatus(currentTime, startTime, endTime, section);
+            
+            timeBox.className = `time-box ${status}`;
+            timeBox.textContent = `${formatTimeDisplay(startTime)} - ${formatTimeDisplay(endTime)}`;
+            timeBox.title = getPlannedTimesLabel(section, presentationStartTime);
+        }
+    } catch (error) {
+        console.error('Error updating timeline item:', error);
+    }
+}
+
+/**
+ * Updates a specific section's duration and recalculates all times
+ * @param {number} sectionIndex - Index of the section to update
+ * @param {number} newDuration - New duration in minutes
+ */
+function updateSectionDuration(sectionIndex, newDuration) {
+    if (!presentationData || !presentationData.sections) {
+        console.error('No presentation data available');
+        return;
+    }
+    
+    if (sectionIndex < 0 || sectionIndex >= presentationData.sections.length) {
+        console.error('Invalid section index:', sectionIndex);
+        return;
+    }
+    
+    if (!(newDuration > 0)) {
+        console.error('Invalid duration:', newDuration);
+        return;
+    }
+    
+    try {
+        console.log(`Updating ${presentationData.sections[sectionIndex].name} duration from ${presentationData.sections[sectionIndex].duration} to ${newDuration} minutes`);
+        
+        // Update the section duration; an explicit edit replaces any hard stop rescaling
+        presentationData.sections[sectionIndex].duration = newDuration;
+        delete presentationData.sections[sectionIndex].unscaled_duration;
+        
+        // Recalculate all times from the start
+        recalculateTimesFromStart(presentationData.start_time);
+        
+        // Update display
+        updateDisplay();
+        
+        console.log('Section duration updated successfully');
+    } catch (error) {
+        console.error('Error updating section duration:', error);
+    }
+}
+
+// Section groups
+// A section with its own "sections" list is a group, such as a workshop module. Its sections
+// stay in the flat sections list, tagged with the group's name and id, so timing, editing and
+// syncing work as before. A group's length is always the sum of its sections
+const GROUP_INHERITED_SETTINGS = ['speaker', 'warnings', 'chimes', 'adjust_step', 'fixed'];
+// Ids of the groups collapsed in the timeline on this screen
+const collapsedGroups = new Set();
+
+/**
+ * Finds the groups in the schedule
+ * Each run of consecutive sections with the same group id is one group
+ * @returns {Array<Object>} - Groups with id, name and the indexes of their first and last sections
+ */
+function getSectionGroups() {
+    const groups = [];
+    if (!presentationData || !presentationData.sections) return groups;
+
+    presentationData.sections.forEach((section, index) => {
+        if (section.group_id === undefined) return;
+        const previous = groups[groups.length - 1];
+        if (previous && previous.id === section.group_id && previous.last === index - 1) {
+            previous.last = index;
+        } else {
+            groups.push({ id: section.group_id, name: section.group, first: index, last: index });
+        }
+    });
+    return groups;
+}
+
+/**
+ * Adds up a group's sections
+ * @param {Object} group - Group from getSectionGroups
+ * @returns {Object} - Section-like totals with duration, hold, planned_duration, start and end
+ */
+function getGroupTotals(group) {
+    const sections = presentationData.sections.slice(group.first, group.last + 1);
+    return {
+        duration: sections.reduce((sum, section) => sum + section.duration, 0),
+        hold: sections.reduce((sum, section) => sum + (section.hold || 0), 0),
+        planned_duration: sections.reduce((sum, section) => sum + (typeof section.planned_duration === 'undefined' ? section.duration : section.planned_duration), 0),
+        start: sections[0].start,
+        end: sections[sections.length - 1].end
+    };
+}
+
+/**
+ * Creates a group's header row in the timeline; clicking it collapses or expands the group
+ * @param {Object} group - Group from getSectionGroups
+ */
+function createTimelineGroup(group) {
+    const timeline = document.getElementById('timeline');
+    if (!timeline) return;
+
+    const header = document.createElement('div');
+    header.className = 'timeline-group';
+    header.dataset.groupId = group.id;
+    header.dataset.first = group.first;
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'group-toggle';
+
+    const name = document.createElement('div');
+    name.className = 'section-name';
+    name.textContent = group.name;
+
+    const duration = document.createElement('div');
+    duration.className = 'duration-container group-duration';
+
+    const deltaBox = document.createElement('div');
+    deltaBox.className = 'delta-box';
+
+    const timeBox = document.createElement('div');
+    timeBox.className = 'time-box';
+
+    header.addEventListener('click', () => toggleGroupCollapsed(group.id));
+
+    header.appendChild(toggle);
+    header.appendChild(name);
+    header.appendChild(duration);
+    header.appendChild(deltaBox);
+    header.appendChild(timeBox);
+    timeline.appendChild(header);
+}
+
+/**
+ * Refreshes the group header rows and hides the sections of collapsed groups
+ * @param {Array<Object>} groups - Groups from getSectionGroups
+ * @param {number} currentSectionIndex - Index of the current section, or -1 if none
+ * @param {Date} currentTime - Timer time
+ */
+function updateTimelineGroups(groups, currentSectionIndex, currentTime) {
+    const presentationStartTime = parseTime(presentationData.start_time);
+
+    presentationData.sections.forEach((section, index) => {
+        const item = document.getElementById(`section-${index}`);
+        if (item) {
+            item.classList.toggle('grouped-section', section.group_id !== undefined);
+            item.classList.toggle('collapsed', section.group_id !== undefined && collapsedGroups.has(section.group_id));
+        }
+    });
+
+    groups.forEach(group => {
+        const header = document.querySelector(`.timeline-group[data-first="${group.first}"]`);
+        if (!header) return;
+
+        const collapsed = collapsedGroups.has(group.id);
+        const totals = getGroupTotals(group);
+        const startTime = parseTime(totals.start, presentationStartTime);
+        const endTime = parseTime(totals.end, startTime);
+
+        header.classList.toggle('current-group', currentSectionIndex >= group.first && currentSectionIndex <= group.last);
+
+        const toggle = header.querySelector('.group-toggle');
+        toggle.textContent = collapsed ? '\u25B8' : '\u25BE';
+        toggle.setAttribute('aria-expanded', String(!collapsed));
+        toggle.setAttribute('aria-label', `${collapsed ? 'Expand' : 'Collapse'} ${group.name}`);
+
+        header.querySelector('.group-duration').textContent = formatSectionDuration(totals.duration);
+        updateDeltaBox(header.querySelector('.delta-box'), totals);
+
+        const timeBox = header.querySelector('.time-box');
+        timeBox.className = `time-box ${getTimeStatus(currentTime, startTime, endTime, totals)}`;
+        timeBox.textContent = `${formatTimeDisplay(startTime)} - ${formatTimeDisplay(endTime)}`;
+    });
+}
+
+/**
+ * Collapses or expands a group in the timeline
+ * @param {number} groupId - Group id
+ */
+function toggleGroupCollapsed(groupId) {
+    if (collapsedGroups.has(groupId)) {
+        collapsedGroups.delete(groupId);
+    } else {
+        collapsedGroups.add(groupId);
+    }
+    updateTimelineDisplay();
+}
+
+/**
+ * Shows the current group's name and time left, above the current section's countdown
+ * @param {number} currentSectionIndex - Index of the current section, or -1 if none
+ * @param {Date} currentTime - Timer time
+ */
+function updateGroupDisplay(currentSectionIndex, currentTime) {
+    const element = document.getElementById('current-group');
+    if (!element) return;
+
+    const group = currentSectionIndex === -1 ? null :
+        getSectionGroups().find(candidate => currentSectionIndex >= candidate.first && currentSectionIndex <= candidate.last);
+
+    element.hidden = !group;
+    if (group) {
+        const presentationStartTime = parseTime(presentationData.start_time);
+        const groupEnd = parseTime(getGroupTotals(group).end, parseTime(presentationData.sections[group.first].start, presentationStartTime));
+        element.textContent = `${group.name}: ${formatDuration(Math.max(0, groupEnd.getTime() - currentTime.getTime()))} left`;
+    }
+}
+
+/**
+ * Puts a section in the same group as another section, or takes it out of its group
+ * @param {Object} section - Section to change
+ * @param {Object|null} source - Section whose group to join, or null for no group
+ */
+function setSectionGroup(section, source) {
+    if (source && source.group_id !== undefined) {
+        section.group = source.group;
+        section.group_id = source.group_id;
+    } else {
+        delete section.group;
+        delete section.group_id;
+    }
+}
+
+// Schedule editor
+// Edit mode turns the timeline rows into an editor: names become inputs, a handle drags rows
+// into a new order and row buttons insert or delete sections. Every change is an undo step
+// and goes through the usual recalculation, so it's saved and synced like any other edit
+const NEW_SECTION_NAME = 'New section';
+const NEW_SECTION_DURATION = 5;
+
+/**
+ * Turns the schedule editor on or off
+ * @param {boolean} [enabled] - Whether to edit; toggles if omitted
+ */
+function toggleScheduleEditMode(enabled = !scheduleEditMode) {
+    scheduleEditMode = enabled && !isDisplayView();
+
+    document.querySelectorAll('#edit-schedule-button').forEach(button => {
+        button.textContent = scheduleEditMode ? 'Done' : 'Edit Schedule';
+        button.setAttribute('aria-pressed', String(scheduleEditMode));
+    });
+    document.querySelectorAll('#add-section-button').forEach(button => {
+        button.hidden = !scheduleEditMode;
+    });
+
+    const title = document.getElementById('title');
+    if (title) {
+        title.contentEditable = scheduleEditMode ? 'true' : 'false';
+        title.classList.toggle('editable', scheduleEditMode);
+    }
+
+    updateDisplay();
+}
+
+/**
+ * Renames a section
+ * @param {number} index - Section index
+ * @param {string} name - New name; blank names are ignored
+ */
+function renameSection(index, name) {
+    const section = presentationData && presentationData.sections[index];
+    const newName = name.trim();
+    if (!section) return;
+    if (newName === '' || newName === section.name) {
+        updateTimelineDisplay();
+        return;
+    }
+
+    recordScheduleChange(`Rename of ${section.name}`);
+    console.log(`Renaming ${section.name} to ${newName}`);
+    section.name = newName;
+    updateDisplay();
+}
+
+/**
+ * Inserts a new section
+ * @param {number} index - Where to insert it; the end of the schedule if omitted
+ */
+function insertSection(index = presentationData.sections.length) {
+    if (!presentationData) return;
+
+    recordScheduleChange('New section');
+    const section = {
+        name: NEW_SECTION_NAME,
+        duration: NEW_SECTION_DURATION
+    };
+    // Like a moved section, a new one joins a group only when it goes between two of its sections
+    const previous = presentationData.sections[index - 1];
+    const next = presentationData.sections[index];
+    setSectionGroup(section, previous && next && previous.group_id === next.group_id ? previous : null);
+    presentationData.sections.splice(index, 0, section);
+    remapPausedSection(paused => paused >= index ? paused + 1 : paused);
+
+    recalculateTimesFromStart(presentationData.start_time);
+    updateDisplay();
+
+    // Start typing the new section's name straight away
+    const nameInput = document.querySelector(`#section-${index} .section-name-input`);
+    if (nameInput) {
+        nameInput.focus();
+        nameInput.select();
+    }
+}
+
+/**
+ * Deletes a section; undo brings it back
+ * The only section can't be deleted, as a schedule needs at least one
+ * @param {number} index - Section index
+ */
+function deleteSection(index) {
+    const section = presentationData && presentationData.sections[index];
+    if (!section || presentationData.sections.length === 1) return;
+
+    recordScheduleChange(`Deletion of ${section.name}`);
+    presentationData.sections.splice(index, 1);
+    // Deleting the paused section hands its pause to the section that takes its place
+    remapPausedSection(paused => paused > index ? paused - 1 : Math.min(paused, presentationData.sections.length - 1));
+    console.log(`Deleted section ${section.name}`);
+
+    recalculateTimesFromStart(presentationData.start_time);
+    updateDisplay();
+}
+
+/**
+ * Takes a section at the start or end of its group out of the group
+ * @param {number} index - Section index
+ */
+function leaveSectionGroup(index) {
+    const section = presentationData && presentationData.sections[index];
+    if (!section || !isAtGroupEdge(index)) return;
+
+    recordScheduleChange(`Ungrouping of ${section.name}`);
+    console.log(`Took ${section.name} out of ${section.group}`);
+    setSectionGroup(section, null);
+
+    recalculateTimesFromStart(presentationData.start_time);
+    updateDisplay();
+}
+
+/**
+ * Checks whether a grouped section is its group's first or last, so leaving won't split the group
+ * @param {number} index - Section index
+ * @returns {boolean} - True for the first or last section of a group
+ */
+function isAtGroupEdge(index) {
+    const sections = presentationData.sections;
+    const section = sections[index];
+    if (!section || section.group_id === undefined) return false;
+    return [sections[index - 1], sections[index + 1]].some(neighbour => !neighbour || neighbour.group_id !== section.group_id);
+}
+
+/**
+ * Moves a section to a new position
+ * @param {number} fromIndex - Current index
+ * @param {number} toIndex - New index
+ */
+function moveSection(fromIndex, toIndex) {
+    const sections = presentationData && presentationData.sections;
+    if (!sections || fromIndex === toIndex || !sections[fromIndex] || toIndex < 0 || toIndex >= sections.length) {
+        updateTimelineDisplay();
+        return;
+    }
+
+    recordScheduleChange(`Move of ${sections[fromIndex].name}`);
+    const [section] = sections.splice(fromIndex, 1);
+    sections.splice(toIndex, 0, section);
+    remapPausedSection(paused => {
+        if (paused === fromIndex) return toIndex;
+        if (fromIndex < paused && paused <= toIndex) return paused - 1;
+        if (toIndex <= paused && paused < fromIndex) return paused + 1;
+        return paused;
+    });
+    console.log(`Moved ${section.name} to position ${toIndex + 1}`);
+
+    // Dropped inside a group, the section joins it; moved away from its own group, it leaves it
+    const previous = sections[toIndex - 1];
+    const next = sections[toIndex + 1];
+    if (previous && next && previous.group_id !== undefined && previous.group_id === next.group_id) {
+        setSectionGroup(section, previous);
+    } else if (![previous, next].some(neighbour => neighbour && neighbour.group_id === section.group_id)) {
+        setSectionGroup(section, null);
+    }
+
+    recalculateTimesFromStart(presentationData.start_time);
+    updateDisplay();
+}
+
+/**
+ * Changes the presentation title
+ * @param {string} title - New title; blank titles are ignored
+ */
+function setPresentationTitle(title) {
+    const newTitle = title.trim();
+    const titleElement = document.getElementById('title');
+    if (!presentationData || newTitle === '' || newTitle === presentationData.title) {
+        if (titleElement && presentationData) {
+            titleElement.textContent = presentationData.title;
+        }
+        return;
+    }
+
+    recordScheduleChange('Title change');
+    presentationData.title = newTitle;
+    if (titleElement) {
+        titleElement.textContent = newTitle;
+    }
+    updateDisplay();
+}
+
+/**
+ * Creates the handle used to drag a row to a new position
+ * Uses pointer events so it works with a mouse, pen or finger; arrow keys move the row too
+ * @param {Object} section - Section data
+ * @param {number} index - Section index
+ * @returns {HTMLElement} - Handle button
+ */
+function createDragHandle(section, index) {
+    const handle = document.createElement('button');
+    handle.type = 'button';
+    handle.className = 'drag-handle';
+    handle.innerHTML = '&#9776;';
+    handle.title = 'Drag to reorder, or use the arrow keys';
+    handle.setAttribute('aria-label', `Move ${section.name}`);
+
+    handle.addEventListener('pointerdown', (event) => {
+        const item = handle.closest('.timeline-item');
+        const timeline = item && item.parentElement;
+        if (!timeline) return;
+
+        event.preventDefault();
+        handle.setPointerCapture(event.pointerId);
+        item.classList.add('dragging');
+
+        // Move the row in the page as the pointer passes the middle of its neighbours
+        const onMove = (moveEvent) => {
+            const rows = Array.from(timeline.querySelectorAll('.timeline-item:not(.dragging)'));
+            const before = rows.find(row => {
+                const box = row.getBoundingClientRect();
+                return moveEvent.clientY < box.top + box.height / 2;
+            });
+            if (before) {
+                if (item.nextElementSibling !== before) {
+                    timeline.insertBefore(item, before);
+                }
+            } else if (timeline.lastElementChild !== item) {
+                timeline.appendChild(item);
+            }
+        };
+
+        const onEnd = (endEvent) => {
+            handle.removeEventListener('pointermove', onMove);
+            handle.removeEventListener('pointerup', onEnd);
+            handle.removeEventListener('pointercancel', onEnd);
+            item.classList.remove('dragging');
+
+            const newIndex = Array.from(timeline.querySelectorAll('.timeline-item')).indexOf(item);
+            // Rebuild the rows from the data so their ids match their new positions
+            timeline.innerHTML = '';
+            if (endEvent.type === 'pointerup' && newIndex !== -1) {
+                moveSection(index, newIndex);
+            } else {
+                updateTimelineDisplay();
+            }
+        };
+
+        handle.addEventListener('pointermove', onMove);
+        handle.addEventListener('pointerup', onEnd);
+        handle.addEventListener('pointercancel', onEnd);
+    });
+
+    handle.addEventListener('keydown', (event) => {
+        const offset = { ArrowUp: -1, ArrowDown: 1 }[event.key];
+        if (!offset) return;
+
+        // Keep the arrow keys from also adjusting the time
+        event.preventDefault();
+        event.stopPropagation();
+        moveSection(index, index + offset);
+
+        const movedHandle = document.querySelector(`#section-${index + offset} .drag-handle`);
+        if (movedHandle) {
+            movedHandle.focus();
+        }
+    });
+
+    return handle;
+}
+
+/**
+ * Creates a row's insert and delete buttons
+ * @param {Object} section - Section data
+ * @param {number} index - Section index
+ * @returns {HTMLElement} - Container with the buttons
+ */
+function createRowActions(section, index) {
+    const actions = document.createElement('div');
+    actions.className = 'row-actions';
+
+    const insertButton = document.createElement('button');
+    insertButton.type = 'button';
+    insertButton.className = 'row-action';
+    insertButton.textContent = '+';
+    insertButton.title = 'Insert a section after this one';
+    insertButton.setAttribute('aria-label', `Insert a section after ${section.name}`);
+    insertButton.addEventListener('click', () => insertSection(index + 1));
+
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'row-action delete';
+    deleteButton.innerHTML = '&times;';
+    deleteButton.title = 'Delete this section';
+    deleteButton.setAttribute('aria-label', `Delete ${section.name}`);
+    if (presentationData.sections.length === 1) {
+        deleteButton.disabled = true;
+        deleteButton.title = 'A schedule needs at least one section';
+    }
+    deleteButton.addEventListener('click', () => deleteSection(index));
+
+    actions.appendChild(insertButton);
+    if (isAtGroupEdge(index)) {
+        const leaveButton = document.createElement('button');
+        leaveButton.type = 'button';
+        leaveButton.className = 'row-action';
+        leaveButton.innerHTML = '&#8676;';
+        leaveButton.title = `Take this section out of ${section.group}`;
+        leaveButton.setAttribute('aria-label', `Take ${section.name} out of ${section.group}`);
+        leaveButton.addEventListener('click', () => leaveSectionGroup(index));
+        actions.appendChild(leaveButton);
+    }
+    actions.appendChild(deleteButton);
+    return actions;
+}
+
+/**
+ * Sets up the schedule editor's buttons and the editable title
+ */
+function setupScheduleEditor() {
+    const editButton = document.getElementById('edit-schedule-button');
+    const addButton = document.getElementById('add-section-button');
+    const title = document.getElementById('title');
+
+    if (editButton) {
+        editButton.addEventListener('click', () => toggleScheduleEditMode());
+    }
+    if (addButton) {
+        addButton.addEventListener('click', () => insertSection());
+    }
+    if (title) {
+        title.addEventListener('keydown', (event) => {
+            if (!scheduleEditMode) return;
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                title.blur();
+            } else if (event.key === 'Escape') {
+                title.textContent = presentationData.title;
+                title.blur();
+            }
+        });
+        title.addEventListener('blur', () => {
+            if (scheduleEditMode) {
+                setPresentationTitle(title.textContent);
+            }
+        });
+    }
+}
+
+/**
+ * Updates the display with current time, section status, and timeline
+ */
+function updateDisplay() {
+    try {
+        if (!presentationData) {
+            console.error('No presentation data available');
+            return;
+        }
+
+        // The wall clock keeps running while paused; the schedule uses the frozen timer time
+        const wallClockTime = new Date();
+        const currentTime = getTimerTime();
+        
+        // In agenda mode, move on to the next session once the active one is over
+        updateActiveSession(currentTime);
+        
+        // Update current time display
+        const currentTimeElement = document.getElementById('current-time');
+        if (currentTimeElement) {
+            currentTimeElement.textContent = formatTimeDisplay(wallClockTime);
+        }
+        updateVenueClock(wallClockTime);
+        
+        updatePauseIndicator();
+        updateScheduleStatus();
+        updateSessionDisplay();
+        
+        // Check if we have any sections
+        if (!presentationData.sections || presentationData.sections.length === 0) {
+            const currentSectionNameElement = document.getElementById('current-section-name');
+            const timeRemainingElement = document.getElementById('time-remaining');
+            
+            if (currentSectionNameElement) {
+                currentSectionNameElement.textContent = 'No presentation data loaded';
+                currentSectionNameElement.className = '';
+            }
+            
+            if (timeRemainingElement) {
+                timeRemainingElement.textContent = '00:00';
+                
+                // Don't modify classes if we're in narrow screen mode
+                if (!isNarrowScreen() || isLandscapeSmallScreen()) {
+                    timeRemainingElement.className = '';
+                }
+            }
+            
+            updateSectionNotes(null, null);
+            updateSpeakerHandoff(-1, currentTime);
+            updateSpeakerTotals();
+            updateGroupDisplay(-1, currentTime);
+            updatePresentationProgress(currentTime);
+            
+            // Clear the timeline
+            const timeline = document.getElementById('timeline');
+            if (timeline) {
+                timeline.innerHTML = `
+                    <div class="no-sections">
+                        <p>No timer configuration found. Please import a configuration file using the "Import Settings" button, or <button type="button" class="new-presentation-link">create a new presentation</button> here.</p>
+                        <p>Or <a href="sample-config.yaml" download="presentation-timer-config.yaml" class="download-link">download a sample configuration file</a> to get started.</p>
+                    </div>`;
+            }
+            
+            return;
+        }
+        
+        const currentSection = getCurrentSection(currentTime);
+        
+        // Update current section name and timer
+        const currentSectionNameElement = document.getElementById('current-section-name');
+        const currentSectionDurationElement = document.getElementById('current-section-duration');
+        const timeRemainingElement = document.getElementById('time-remaining');
+        
+        // Check if presentation hasn't started yet
+        const presentationStartTime = parseTime(presentationData.start_time);
+        const currentTimeMs = currentTime.getTime();
+        const startTimeMs = presentationStartTime.getTime();
+        // Drives the full-screen alert overlay
+        let alertLevel = 'none';
+        
+        if (currentTimeMs < startTimeMs) {
+            // Before presentation starts - show countdown to start, or to the next session after a break
+            if (currentSectionNameElement) {
+                currentSectionNameElement.textContent = presentationData.sessions && presentationData.session_index > 0 ?
+                    `Break until ${presentationData.sessions[presentationData.session_index].title}` :
+                    'Time Until Start';
+                currentSectionNameElement.className = 'time-until-start';
+            }
+            if (currentSectionDurationElement) {
+                // Name the day when the start isn't today
+                currentSectionDurationElement.textContent = presentationStartTime.toDateString() === wallClockTime.toDateString() ?
+                    '' :
+                    `Starts ${formatDayDisplay(presentationStartTime)} at ${formatTimeDisplay(presentationStartTime)}`;
+            }
+            if (timeRemainingElement) {
+                const timeUntilStart = startTimeMs - currentTimeMs;
+                timeRemainingElement.textContent = formatDuration(timeUntilStart);
+                
+                // Don't modify classes if we're in narrow screen mode
+                if (!isNarrowScreen() || isLandscapeSmallScreen()) {
+                    timeRemainingElement.className = 'time-remaining blue';
+                } else {
+                    // Just swap the color class without changing other classes
+                    timeRemainingElement.classList.remove('red', 'yellow', 'green', 'flash');
+                    timeRemainingElement.classList.add('blue');
+                }
+            }
+        } else if (currentSection) {
+            // During presentation - show current section
+            if (currentSectionNameElement) {
+                currentSectionNameElement.textContent = currentSection.name;
+                currentSectionNameElement.className = ''; // Remove any previous classes
+            }
+            if (currentSectionDurationElement) {
+                // Find the current section in our data to get its duration
+                const sectionData = presentationData.sections[currentSection.index];
+                if (sectionData) {
+                    const actualDuration = formatSectionDuration(sectionData.duration + (sectionData.hold || 0));
+                    currentSectionDurationElement.textContent = getSectionDelta(sectionData) === 0 ?
+                        actualDuration :
+                        `${actualDuration} (planned ${formatSectionDuration(sectionData.planned_duration)})`;
+                } else {
+                    currentSectionDurationElement.textContent = '';
+                }
+            }
+            if (timeRemainingElement) {
+                const timeRemaining = currentSection.end - currentTime.getTime();
+                timeRemainingElement.textContent = formatDuration(timeRemaining);
+                
+                // Add color class based on time remaining
+                if (!isNarrowScreen() || isLandscapeSmallScreen()) {
+                    // Only replace class in non-narrow screen mode
+                    timeRemainingElement.className = 'time-remaining';
+                } else {
+                    // In narrow screen mode, just make sure we have the necessary classes
+                    if (!timeRemainingElement.classList.contains('portrait-mode')) {
+                        timeRemainingElement.classList.add('portrait-mode');
+                    }
+                    if (!timeRemainingElement.classList.contains('narrow-screen')) {
+                        timeRemainingElement.classList.add('narrow-screen');
+                    }
+                }
+                
+                // Remove any existing color classes
+                timeRemainingElement.classList.remove('red', 'yellow', 'green', 'blue', 'flash');
+                
+                // Add the color class from the section's warning thresholds
+                const level = getWarningLevel(presentationData.sections[currentSection.index], timeRemaining);
+                timeRemainingElement.classList.add(...getWarningClasses(level));
+                alertLevel = level;
+            }
+        } else {
+            // Presentation is complete - show elapsed time since end
+            if (currentSectionNameElement) {
+                currentSectionNameElement.textContent = 'Presentation Complete';
+                currentSectionNameElement.className = 'presentation-complete'; // Add red styling
+            }
             if (currentSectionDurationElement) {
                 currentSectionDurationElement.textContent = '';
             }
-            if (timeRemainingElement) {
-                // Find the end time of the last section
-                const lastSection = presentationData.sections[presentationData.sections.length - 1];
-                const presentationStartTime = parseTime(presentationData.start_time);
-                const lastStartTime = parseTime(lastSection.start, presentationStartTime);
-                const lastEndTime = parseTime(lastSection.end, lastStartTime);
-                const elapsedTime = currentTime.getTime() - lastEndTime.getTime();
+            if (timeRemainingElement) {
+                // Find the end time of the last section
+                const lastSection = presentationData.sections[presentationData.sections.length - 1];
+                const presentationStartTime = parseTime(presentationData.start_time);
+                const lastStartTime = parseTime(lastSection.start, presentationStartTime);
+                const lastEndTime = parseTime(lastSection.end, lastStartTime);
+                const elapsedTime = currentTime.getTime() - lastEndTime.getTime();
+                
+                if (elapsedTime > 0) {
+                    // Show elapsed time as positive count-up
+                    timeRemainingElement.textContent = '+' + formatDuration(elapsedTime);
+                    alertLevel = 'overtime';
+                    
+                    if (!isNarrowScreen() || isLandscapeSmallScreen()) {
+                        // Only replace class in non-narrow screen mode
+                        timeRemainingElement.className = 'time-remaining red';
+                    } else {
+                        // In narrow screen mode, preserve existing classes and just add/remove color classes
+                        if (!timeRemainingElement.classList.contains('portrait-mode')) {
+                            timeRemainingElement.classList.add('portrait-mode');
+                        }
+                        if (!timeRemainingElement.classList.contains('narrow-screen')) {
+                            timeRemainingElement.classList.add('narrow-screen');
+                        }
+                        // Remove existing color classes and add red
+                        timeRemainingElement.classList.remove('green', 'yellow', 'blue', 'flash');
+                        timeRemainingElement.classList.add('red');
+                    }
+                } else {
+                    // If somehow we're before the last section ends, show empty
+                    timeRemainingElement.textContent = '';
+                    
+                    if (!isNarrowScreen() || isLandscapeSmallScreen()) {
+                        // Only replace class in non-narrow screen mode
+                        timeRemainingElement.className = 'time-remaining';
+                    } else {
+                        // In narrow screen mode, preserve existing classes
+                        if (!timeRemainingElement.classList.contains('portrait-mode')) {
+                            timeRemainingElement.classList.add('portrait-mode');
+                        }
+                        if (!timeRemainingElement.classList.contains('narrow-screen')) {
+                            timeRemainingElement.classList.add('narrow-screen');
+                        }
+                        // Remove any color classes
+                        timeRemainingElement.classList.remove('red', 'green', 'yellow', 'blue', 'flash');
+                    }
+                }
+            }
+        }
+
+        // Other display modes replace the countdown's text; its color still follows the current section
+        const displayMode = getDisplayMode();
+        if (timeRemainingElement && (displayMode === 'clock' || currentTimeMs >= startTimeMs)) {
+            const modeText = getDisplayModeText(displayMode, currentSection, currentTime, wallClockTime);
+            if (modeText !== null) {
+                timeRemainingElement.textContent = modeText;
+            }
+        }
+        updateDisplayModeLabel(displayMode);
+
+        // The current group's time left, for sections inside a group
+        updateGroupDisplay(currentTimeMs >= startTimeMs && currentSection ? currentSection.index : -1, currentTime);
+        updatePresentationProgress(currentTime);
+
+        // Paused state overrides the countdown color
+        if (timeRemainingElement) {
+            timeRemainingElement.classList.toggle('paused', isPaused());
+        }
+
+        checkAudioCues();
+        updateAlertOverlay(alertLevel);
+
+        updateTimelineDisplay();
+        updateNextSectionDisplay();
+        broadcastState();
+        saveScheduleToStorage();
+        saveSessionToStorage();
+    } catch (error) {
+        console.error('Error updating display:', error);
+        throw error;
+    }
+}
+
+// Display modes
+// What the big readout shows. Tapping it switches modes; the choice is saved on this device
+// and wins over display_mode from the config
+const DISPLAY_MODE_STORAGE_KEY = 'presentationTimerDisplayMode';
+const DISPLAY_MODES = [
+    { id: 'section-remaining', label: 'Section remaining' },
+    { id: 'section-elapsed', label: 'Section elapsed' },
+    { id: 'total-elapsed', label: 'Total elapsed' },
+    { id: 'total-remaining', label: 'Total remaining' },
+    { id: 'clock', label: 'Clock' }
+];
+
+/**
+ * Gets the display mode for this device
+ * @returns {string} - Mode id: the saved choice, else the config's display_mode, else the section countdown
+ */
+function getDisplayMode() {
+    let mode = null;
+    try {
+        mode = localStorage.getItem(DISPLAY_MODE_STORAGE_KEY);
+    } catch (e) {
+        console.warn('Could not read display mode from localStorage', e);
+    }
+
+    if (!DISPLAY_MODES.some(candidate => candidate.id === mode)) {
+        mode = presentationData && presentationData.display_mode ? presentationData.display_mode : DISPLAY_MODES[0].id;
+    }
+    return mode;
+}
+
+/**
+ * Switches to the next display mode and saves it on this device
+ */
+function cycleDisplayMode() {
+    const index = DISPLAY_MODES.findIndex(mode => mode.id === getDisplayMode());
+    const nextMode = DISPLAY_MODES[(index + 1) % DISPLAY_MODES.length];
+
+    try {
+        localStorage.setItem(DISPLAY_MODE_STORAGE_KEY, nextMode.id);
+    } catch (e) {
+        console.warn('Could not save display mode to localStorage', e);
+    }
+
+    showToast(`Showing ${nextMode.label.toLowerCase()}`);
+    if (presentationData) {
+        updateDisplay();
+    }
+}
+
+/**
+ * Gets the readout for a display mode once the presentation has started
+ * @param {string} mode - Display mode id
+ * @param {Object|null} currentSection - Current section from getCurrentSection
+ * @param {Date} currentTime - Timer time
+ * @param {Date} wallClockTime - Actual time, which keeps running while paused
+ * @returns {string|null} - Text to show, or null to keep the section countdown (or the overtime count)
+ */
+function getDisplayModeText(mode, currentSection, currentTime, wallClockTime) {
+    const sections = presentationData.sections;
+    const presentationStartTime = parseTime(presentationData.start_time);
+    const lastSection = sections[sections.length - 1];
+    const presentationEndTime = parseTime(lastSection.end, parseTime(lastSection.start, presentationStartTime));
+
+    switch (mode) {
+        case 'section-elapsed':
+            return currentSection ? formatDuration(currentTime.getTime() - currentSection.start) : null;
+        case 'total-elapsed':
+            return formatDuration(Math.max(currentTime.getTime() - presentationStartTime.getTime(), 0));
+        case 'total-remaining':
+            return currentTime < presentationEndTime ? formatDuration(presentationEndTime.getTime() - currentTime.getTime()) : null;
+        case 'clock':
+            return formatTimeDisplay(wallClockTime);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Names the display mode under the section name, unless it's the usual section countdown
+ * @param {string} mode - Display mode id
+ */
+function updateDisplayModeLabel(mode) {
+    const displayMode = DISPLAY_MODES.find(candidate => candidate.id === mode) || DISPLAY_MODES[0];
+    const label = document.getElementById('display-mode-label');
+    if (label) {
+        label.hidden = displayMode === DISPLAY_MODES[0];
+        label.textContent = displayMode.label;
+    }
+
+    const timeRemainingElement = document.getElementById('time-remaining');
+    if (timeRemainingElement) {
+        timeRemainingElement.title = `Showing ${displayMode.label.toLowerCase()}. Tap to switch`;
+    }
+}
+
+/**
+ * Updates the whole-presentation progress bar and the total elapsed and remaining times
+ * The bar has a segment per section, sized by its live length and colored like the
+ * timeline's time boxes; the current segment fills up as the section runs
+ * @param {Date} currentTime - Timer time
+ */
+function updatePresentationProgress(currentTime) {
+    const bar = document.getElementById('presentation-timeline');
+    const totals = document.getElementById('presentation-totals');
+    const sections = presentationData && presentationData.sections ? presentationData.sections : [];
+
+    if (sections.length === 0) {
+        if (bar) {
+            bar.innerHTML = '';
+            bar.hidden = true;
+        }
+        if (totals) totals.hidden = true;
+        return;
+    }
+
+    const presentationStartTime = parseTime(presentationData.start_time);
+    const lastSection = sections[sections.length - 1];
+    const presentationEndTime = parseTime(lastSection.end, parseTime(lastSection.start, presentationStartTime));
+    const now = currentTime.getTime();
+    const totalMs = presentationEndTime.getTime() - presentationStartTime.getTime();
+    const elapsedMs = Math.min(Math.max(now - presentationStartTime.getTime(), 0), totalMs);
+
+    if (bar) {
+        bar.hidden = false;
+        if (bar.children.length !== sections.length) {
+            bar.innerHTML = '';
+            sections.forEach(() => {
+                const segment = document.createElement('div');
+                const fill = document.createElement('div');
+                fill.className = 'progress-fill';
+                segment.appendChild(fill);
+                bar.appendChild(segment);
+            });
+        }
+
+        sections.forEach((section, index) => {
+            const startTime = parseTime(section.start, presentationStartTime);
+            const endTime = parseTime(section.end, startTime);
+            const length = endTime.getTime() - startTime.getTime();
+            const done = length > 0 ? Math.min(Math.max((now - startTime.getTime()) / length, 0), 1) : 1;
+            const current = now >= startTime.getTime() && now < endTime.getTime();
+
+            const segment = bar.children[index];
+            segment.className = `progress-segment ${getTimeStatus(currentTime, startTime, endTime, section)}${current ? ' current' : ''}`;
+            segment.style.flexGrow = Math.max(length, 1);
+            segment.title = `${section.name} (${formatTimeDisplay(startTime)} - ${formatTimeDisplay(endTime)})`;
+            segment.firstChild.style.width = `${(done * 100).toFixed(2)}%`;
+        });
+
+        const percent = totalMs > 0 ? Math.round(elapsedMs / totalMs * 100) : 100;
+        bar.setAttribute('aria-valuenow', percent);
+        bar.setAttribute('aria-valuetext', `${percent}% through the presentation`);
+    }
+
+    // Before the start the main countdown already shows the time to go
+    if (totals) {
+        totals.hidden = now < presentationStartTime.getTime();
+        const elapsedElement = document.getElementById('total-elapsed');
+        const remainingElement = document.getElementById('total-remaining');
+        if (elapsedElement) {
+            elapsedElement.textContent = `${formatDuration(elapsedMs)} elapsed`;
+        }
+        if (remainingElement) {
+            remainingElement.textContent = `${formatDuration(Math.max(presentationEndTime.getTime() - now, 0))} left in total`;
+        }
+    }
+}
+
+/**
+ * Updates the ahead/behind schedule figure for the whole presentation
+ * Compares when the live schedule will finish against the planned finish
+ */
+function updateScheduleStatus() {
+    const elements = document.querySelectorAll('.schedule-status');
+    if (elements.length === 0) return;
+
+    let text = '';
+    let statusClass = 'even';
+
+    if (presentationData && presentationData.sections && presentationData.sections.length > 0) {
+        const lastSection = presentationData.sections[presentationData.sections.length - 1];
+        let deltaMinutes = 0;
+
+        if (lastSection.planned_end) {
+            const presentationStartTime = parseTime(presentationData.start_time);
+            const actualEnd = parseTime(lastSection.end, presentationStartTime);
+            const plannedEnd = parseTime(lastSection.planned_end, presentationStartTime);
+            deltaMinutes = Math.round((actualEnd.getTime() - plannedEnd.getTime()) / 1000) / 60;
+        }
+
+        statusClass = getDeltaClass(deltaMinutes);
+        if (statusClass === 'over') {
+            text = `${formatSectionDuration(deltaMinutes)} behind schedule`;
+        } else if (statusClass === 'under') {
+            text = `${formatSectionDuration(-deltaMinutes)} ahead of schedule`;
+        } else {
+            text = 'On schedule';
+        }
+    }
+
+    // Mention the hard stop, if there is one
+    let title = '';
+    if (presentationData && presentationData.end_time) {
+        title = `Hard stop: ${formatTimeDisplay(parseTime(presentationData.end_time, parseTime(presentationData.start_time)))}`;
+    }
+
+    elements.forEach(element => {
+        element.textContent = text;
+        element.title = title;
+        element.className = `schedule-status ${text ? statusClass : ''}`.trim();
+    });
+}
+
+/**
+ * Update just the next section display
+ */
+function updateNextSectionDisplay() {
+    try {
+        if (!presentationData) return;
+        
+        const currentTime = getTimerTime();
+        const nextSectionElement = document.getElementById('next-section');
+        if (!nextSectionElement) return;
+        
+        const currentSection = getCurrentSection(currentTime);
+        const currentSectionIndex = currentSection ? currentSection.index : -1;
+        
+        let nextSection = null;
+        
+        if (currentSectionIndex !== -1 && currentSectionIndex < presentationData.sections.length - 1) {
+            // Get the next section after current one
+            nextSection = presentationData.sections[currentSectionIndex + 1];
+        } else if (currentSectionIndex === -1 && presentationData.sections.length > 0) {
+            // If no current section or before presentation starts, show first section
+            nextSection = presentationData.sections[0];
+        }
+        
+        if (nextSection) {
+            nextSectionElement.textContent = getNextSectionLabel(nextSection);
+        } else {
+            nextSectionElement.textContent = "End of presentation";
+        }
+        
+        updateSectionNotes(currentSection ? presentationData.sections[currentSection.index] : null, nextSection);
+        updateSpeakerHandoff(currentSection ? currentSection.index : -1, currentTime);
+    } catch (error) {
+        console.error('Error updating next section display:', error);
+    }
+}
+
+/**
+ * Gets the label for the upcoming section, naming its speaker if it has one
+ * @param {Object} section - Next section
+ * @returns {string} - Label such as "Demo (10m) with Alice"
+ */
+function getNextSectionLabel(section) {
+    const label = `${section.name} (${formatSectionDuration(section.duration)})`;
+    return section.speaker ? `${label} with ${section.speaker}` : label;
+}
+
+// Speaker notes
+// Shown only on the operator's screen: display windows never show them
+const NOTES_OPEN_STORAGE_KEY = 'presentationTimerNotesOpen';
+
+/**
+ * Shows the current section's notes and a preview of the next section's
+ * @param {Object|null} currentSection - Section being presented
+ * @param {Object|null} nextSection - Section after it
+ */
+function updateSectionNotes(currentSection, nextSection) {
+    const panel = document.getElementById('section-notes');
+    const text = document.getElementById('section-notes-text');
+    const preview = document.getElementById('next-section-notes');
+    const audienceView = isDisplayView();
+
+    const notes = !audienceView && currentSection && currentSection.notes;
+    if (panel && text) {
+        panel.hidden = !notes;
+        if (notes && text.textContent !== notes) {
+            text.textContent = notes;
+        }
+    }
+
+    // The preview is the first line; hovering shows the rest. The next section bar is
+    // usually only on small landscape screens, but shows everywhere when there's a preview
+    const nextNotes = !audienceView && nextSection && nextSection.notes;
+    if (preview) {
+        preview.hidden = !nextNotes;
+        preview.textContent = nextNotes ? nextNotes.split('\n')[0] : '';
+        preview.title = nextNotes || '';
+        preview.closest('.next-section-display').classList.toggle('has-notes', Boolean(nextNotes));
+    }
+}
+
+/**
+ * Restores whether the notes panel was open, and remembers when it's opened or closed
+ */
+function setupSectionNotes() {
+    const panel = document.getElementById('section-notes');
+    if (!panel) return;
+
+    try {
+        panel.open = localStorage.getItem(NOTES_OPEN_STORAGE_KEY) !== 'false';
+    } catch (error) {
+        console.warn('Failed to load notes panel state:', error);
+    }
+    panel.addEventListener('toggle', () => {
+        try {
+            localStorage.setItem(NOTES_OPEN_STORAGE_KEY, String(panel.open));
+        } catch (error) {
+            console.warn('Failed to save notes panel state:', error);
+        }
+    });
+}
+
+// Speakers
+// Colors given to speakers without one, in roster order
+const SPEAKER_COLORS = ['#e91e63', '#2196f3', '#ff9800', '#4caf50', '#9c27b0', '#00bcd4', '#795548', '#607d8b'];
+
+/**
+ * Looks up a speaker in the roster
+ * @param {string} name - Speaker name
+ * @returns {Object|null} - Speaker with name and color, or null if not found
+ */
+function getSpeaker(name) {
+    if (!name || !presentationData || !presentationData.speakers) return null;
+    return presentationData.speakers.find(speaker => speaker.name === name) || null;
+}
+
+/**
+ * Shows who is presenting now and who takes over next, with the time until the handoff
+ * @param {number} currentSectionIndex - Index of the current section, or -1 if none
+ * @param {Date} currentTime - Timer time
+ */
+function updateSpeakerHandoff(currentSectionIndex, currentTime) {
+    const handoff = document.getElementById('speaker-handoff');
+    const nowElement = document.getElementById('current-speaker');
+    const nextElement = document.getElementById('next-speaker');
+    if (!handoff || !nowElement || !nextElement) return;
+
+    const sections = presentationData && presentationData.speakers ? presentationData.sections : [];
+    const currentSpeaker = currentSectionIndex !== -1 && sections.length > 0 ? getSpeaker(sections[currentSectionIndex].speaker) : null;
+
+    // The next speaker is the first one after the current section who isn't presenting now
+    let nextIndex = -1;
+    if (sections.length > 0) {
+        const presentationStartTime = parseTime(presentationData.start_time);
+        const fromIndex = currentSectionIndex !== -1 ? currentSectionIndex + 1 :
+            currentTime.getTime() < presentationStartTime.getTime() ? 0 : sections.length;
+        nextIndex = sections.findIndex((section, index) => index >= fromIndex && section.speaker &&
+            (!currentSpeaker || section.speaker !== currentSpeaker.name));
+    }
+    const nextSpeaker = nextIndex !== -1 ? getSpeaker(sections[nextIndex].speaker) : null;
+
+    nowElement.hidden = !currentSpeaker;
+    if (currentSpeaker) {
+        nowElement.textContent = `On now: ${currentSpeaker.name}`;
+        nowElement.style.setProperty('--speaker-color', currentSpeaker.color);
+    }
+
+    nextElement.hidden = !nextSpeaker;
+    if (nextSpeaker) {
+        const presentationStartTime = parseTime(presentationData.start_time);
+        const handoffTime = parseTime(sections[nextIndex].start, presentationStartTime);
+        nextElement.textContent = `Up next: ${nextSpeaker.name} in ${formatDuration(Math.max(0, handoffTime.getTime() - currentTime.getTime()))}`;
+        nextElement.style.setProperty('--speaker-color', nextSpeaker.color);
+    }
+
+    handoff.hidden = !currentSpeaker && !nextSpeaker;
+}
+
+/**
+ * Tints a timeline row with its speaker's color
+ * @param {HTMLElement} item - Timeline item
+ * @param {Object} section - Section data
+ */
+function applySpeakerTint(item, section) {
+    const speaker = getSpeaker(section.speaker);
+    item.classList.toggle('speaker-section', Boolean(speaker));
+    if (speaker) {
+        item.style.setProperty('--speaker-color', speaker.color);
+    } else {
+        item.style.removeProperty('--speaker-color');
+    }
+
+    const sectionName = item.querySelector('.section-name');
+    if (sectionName) {
+        sectionName.title = speaker ? `Presented by ${speaker.name}` : '';
+    }
+}
+
+/**
+ * Lists each speaker's planned and actual time below the timeline
+ * Actual time is the live schedule: sections already given plus the current plan for the rest.
+ * In agenda mode every session counts.
+ */
+function updateSpeakerTotals() {
+    const container = document.getElementById('speaker-totals');
+    if (!container) return;
+
+    const speakers = presentationData && presentationData.speakers ? presentationData.speakers : [];
+    const sections = !presentationData ? [] : presentationData.sessions ?
+        presentationData.sessions.flatMap((session, index) => index === presentationData.session_index ? presentationData.sections : session.sections) :
+        presentationData.sections;
+
+    const totals = speakers.map(speaker => {
+        const spoken = sections.filter(section => section.speaker === speaker.name);
+        const planned = spoken.reduce((sum, section) => sum + (typeof section.planned_duration === 'undefined' ? section.duration : section.planned_duration), 0);
+        const actual = spoken.reduce((sum, section) => sum + section.duration + (section.hold || 0), 0);
+        return { speaker: speaker, planned: planned, actual: actual, delta: Math.round((actual - planned) * 60) / 60 };
+    }).filter(total => total.planned > 0 || total.actual > 0);
+
+    container.hidden = totals.length === 0;
+
+    // Rebuild only when a figure changes, as this runs every second
+    const key = JSON.stringify(totals.map(total => [total.speaker.name, total.speaker.color, total.planned, total.actual]));
+    if (container.dataset.key === key) return;
+    container.dataset.key = key;
+    container.innerHTML = '';
+
+    const heading = document.createElement('h2');
+    heading.className = 'speaker-totals-heading';
+    heading.textContent = 'Speaker Time';
+    container.appendChild(heading);
+
+    totals.forEach(total => {
+        const row = document.createElement('div');
+        row.className = 'speaker-total';
+        row.style.setProperty('--speaker-color', total.speaker.color);
+
+        const name = document.createElement('span');
+        name.className = 'speaker-total-name';
+        name.textContent = total.speaker.name;
+
+        const times = document.createElement('span');
+        times.className = 'speaker-total-times';
+        times.textContent = `${formatSectionDuration(total.actual)} of ${formatSectionDuration(total.planned)} planned`;
+
+        const delta = document.createElement('span');
+        delta.className = `delta-box ${getDeltaClass(total.delta)}`;
+        delta.textContent = formatScheduleDelta(total.delta);
+
+        row.appendChild(name);
+        row.appendChild(times);
+        row.appendChild(delta);
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Gets the current section based on the given time
+ * @param {Date} time - Current time
+ * @returns {Object|null} - Current section object with index or null if not found
+ */
+function getCurrentSection(time) {
+    try {
+        if (!presentationData || !presentationData.sections) {
+            console.error('No presentation data or sections available');
+            return null;
+        }
+
+        const currentTime = time.getTime();
+        let currentSection = null;
+        
+        presentationData.sections.some((section, index) => {
+            try {
+                // Use the presentation start time as reference for day rollover detection
+                const presentationStartTime = parseTime(presentationData.start_time);
+                const startTime = parseTime(section.start, presentationStartTime);
+                const endTime = parseTime(section.end, startTime);
+                const sectionStart = startTime.getTime();
+                const sectionEnd = endTime.getTime();
+                
+                if (currentTime >= sectionStart && currentTime < sectionEnd) {
+                    currentSection = {
+                        name: section.name,
+                        start: sectionStart,
+                        end: sectionEnd,
+                        index: index  // Include the section index
+                    };
+                    return true; // Stop searching when we find the current section
+                }
+            } catch (error) {
+                console.error('Error processing section:', error);
+            }
+            return false;
+        });
+        
+        return currentSection;
+    } catch (error) {
+        console.error('Error getting current section:', error);
+        throw error;
+    }
+}
+
+/**
+ * Gets the +/- adjustment step for a section
+ * Uses the section's adjust_step, then the presentation's adjust_step, then 1 minute
+ * @param {Object} [section] - Section being adjusted (omit before the presentation starts)
+ * @returns {number} - Step in minutes
+ */
+function getAdjustmentStep(section = null) {
+    if (section && section.adjust_step) {
+        return section.adjust_step;
+    }
+    if (presentationData && presentationData.adjust_step) {
+        return presentationData.adjust_step;
+    }
+    return 1;
+}
+
+/**
+ * Adjusts either start time (before presentation) or current section's duration (during presentation)
+ * The amount is the adjustment step from getAdjustmentStep
+ * @param {number} direction - 1 to add time, -1 to remove time
+ */
+function adjustTimes(direction) {
+    try {
+        if (!presentationData || !presentationData.sections) {
+            console.error('No presentation data available');
+            return;
+        }
+
+        const currentTime = getTimerTime();
+        const presentationStartTime = parseTime(presentationData.start_time);
+        const currentTimeMs = currentTime.getTime();
+        const startTimeMs = presentationStartTime.getTime();
+
+        // Check if presentation hasn't started yet
+        if (currentTimeMs < startTimeMs) {
+            // Before presentation starts - adjust the start time
+            const minutes = direction * getAdjustmentStep();
+            console.log(`Adjusting start time by ${minutes} minutes`);
+            recordScheduleChange(`Start time ${direction > 0 ? '+' : '-'}${formatSectionDuration(getAdjustmentStep())}`);
+            
+            const newStartTime = new Date(presentationStartTime.getTime() + (minutes * 60 * 1000));
+            const newStartTimeString = formatStartTime(newStartTime);
+            
+            // Recalculate all section times; this also updates the start time inputs
+            recalculateTimesFromStart(newStartTimeString);
+            updateDisplay();
+            
+            console.log(`Start time adjusted to: ${newStartTimeString}`);
+            return;
+        }
+
+        // After this point, handle current section adjustment (existing logic)
+        const currentSection = getCurrentSection(currentTime);
+        
+        // If no current section (after presentation ends), don't adjust
+        if (!currentSection) {
+            console.log('No current section to adjust (presentation may be complete)');
+            return;
+        }
+        
+        const sectionIndex = currentSection.index;
+        const section = presentationData.sections[sectionIndex];
+        const newDuration = parseSectionDuration(section.duration + direction * getAdjustmentStep(section));
+        
+        // Don't allow the section to shrink to nothing
+        if (newDuration <= 0) {
+            console.log('Cannot reduce section duration to zero');
+            return;
+        }
+        
+        console.log(`Adjusting ${section.name} duration from ${formatSectionDuration(section.duration)} to ${formatSectionDuration(newDuration)}`);
+        recordScheduleChange(`${direction > 0 ? '+' : '-'}${formatSectionDuration(getAdjustmentStep(section))} on ${section.name}`);
+        
+        // Update the section duration using our existing function
+        updateSectionDuration(sectionIndex, newDuration);
+        
+    } catch (error) {
+        console.error('Error adjusting times:', error);
+    }
+}
+
+/**
+ * Ends the current section now and pulls every later section earlier
+ * Before the presentation starts, this starts it immediately
+ */
+function advanceToNextSection() {
+    if (!presentationData || !presentationData.sections || presentationData.sections.length === 0) {
+        console.error('No presentation data available');
+        return;
+    }
+
+    try {
+        recordScheduleChange('Next section');
+        
+        // Resume first so the pause is recorded as the section's hold
+        if (isPaused()) {
+            resumeTimer();
+        }
+
+        const now = new Date();
+        const presentationStartTime = parseTime(presentationData.start_time);
+
+        if (now.getTime() < presentationStartTime.getTime()) {
+            const newStartTimeString = formatStartTime(now);
+            console.log('Starting presentation early at', newStartTimeString);
+            recalculateTimesFromStart(newStartTimeString);
+            updateDisplay();
+            return;
+        }
+
+        const currentSection = getCurrentSection(now);
+        if (!currentSection) {
+            console.log('No current section to advance (presentation may be complete)');
+            return;
+        }
+
+        const section = presentationData.sections[currentSection.index];
+        const elapsedMinutes = Math.floor((now.getTime() - currentSection.start) / 1000) / 60;
+
+        // Remember the duration so "Previous" can reopen the section where it left off
+        if (typeof section.restore_duration === 'undefined') {
+            section.restore_duration = section.duration;
+        }
+        // A section skipped right after it started ends up with no time at all
+        section.duration = Math.max(elapsedMinutes - (section.hold || 0), 0);
+
+        console.log(`Ended ${section.name} early after ${formatSectionDuration(elapsedMinutes)}`);
+
+        recalculateTimesFromStart(presentationData.start_time);
+        updateDisplay();
+    } catch (error) {
+        console.error('Error advancing to next section:', error);
+    }
+}
+
+/**
+ * Reopens the section before the current one (or the last section once the presentation is complete)
+ * The reopened section gets back the duration it had before it was ended early, and always
+ * at least one adjustment step of time from now
+ */
+function returnToPreviousSection() {
+    if (!presentationData || !presentationData.sections || presentationData.sections.length === 0) {
+        console.error('No presentation data available');
+        return;
+    }
+
+    try {
+        recordScheduleChange('Previous section');
+        
+        if (isPaused()) {
+            resumeTimer();
+        }
+
+        const now = new Date();
+        const presentationStartTime = parseTime(presentationData.start_time);
+        if (now.getTime() < presentationStartTime.getTime()) {
+            console.log('Presentation has not started, no previous section');
+            return;
+        }
+
+        const currentSection = getCurrentSection(now);
+        const previousIndex = currentSection ? currentSection.index - 1 : presentationData.sections.length - 1;
+        if (previousIndex < 0) {
+            console.log('Already in the first section');
+            return;
+        }
+
+        const section = presentationData.sections[previousIndex];
+        const sectionStart = parseTime(section.start, presentationStartTime);
+        const elapsedMinutes = Math.floor((now.getTime() - sectionStart.getTime()) / 1000) / 60;
+        const restoredDuration = typeof section.restore_duration !== 'undefined' ? section.restore_duration : section.duration;
+        const minimumDuration = elapsedMinutes - (section.hold || 0) + getAdjustmentStep(section);
+
+        section.duration = parseSectionDuration(Math.max(restoredDuration, minimumDuration));
+        delete section.restore_duration;
+
+        console.log(`Reopened ${section.name} with duration ${formatSectionDuration(section.duration)}`);
+
+        recalculateTimesFromStart(presentationData.start_time);
+        updateDisplay();
+    } catch (error) {
+        console.error('Error returning to previous section:', error);
+    }
+}
+
+/**
+ * Checks whether the timer is currently paused
+ * @returns {boolean} - True if paused
+ */
+function isPaused() {
+    return pauseState !== null;
+}
+
+/**
+ * Gets the time the schedule should be evaluated at
+ * While paused this is frozen at the moment the pause started
+ * @returns {Date} - Current timer time
+ */
+function getTimerTime() {
+    return pauseState ? new Date(pauseState.pausedAt.getTime()) : new Date();
+}
+
+/**
+ * Pauses the countdown, freezing the current section's remaining time
+ */
+function pauseTimer() {
+    if (!presentationData || !presentationData.sections || presentationData.sections.length === 0) {
+        console.error('No presentation data available');
+        return;
+    }
+    if (isPaused()) {
+        return;
+    }
+
+    const now = new Date();
+    const presentationStartTime = parseTime(presentationData.start_time);
+    const currentSection = getCurrentSection(now);
+
+    // Nothing left to hold once the presentation is complete
+    if (now.getTime() >= presentationStartTime.getTime() && !currentSection) {
+        console.log('Presentation complete, nothing to pause');
+        return;
+    }
+
+    pauseState = {
+        pausedAt: now,
+        sectionIndex: currentSection ? currentSection.index : -1
+    };
+    console.log('Timer paused at', formatTime(now), currentSection ? `during ${currentSection.name}` : 'before start');
+
+    updatePauseButtonState();
+    updateDisplay();
+}
+
+/**
+ * Resumes the countdown, shifting the paused section and everything after it by the pause length
+ */
+function resumeTimer() {
+    if (!isPaused()) {
+        return;
+    }
+
+    const pausedMinutes = Math.round((Date.now() - pauseState.pausedAt.getTime()) / 1000) / 60;
+    const sectionIndex = pauseState.sectionIndex;
+    pauseState = null;
+
+    try {
+        if (sectionIndex === -1) {
+            // Paused while counting down to the start - hold the start time instead
+            const newStartTimeString = formatStartTime(addMinutes(parseTime(presentationData.start_time), pausedMinutes));
+            recalculateTimesFromStart(newStartTimeString);
+        } else {
+            const section = presentationData.sections[sectionIndex];
+            section.hold = (section.hold || 0) + pausedMinutes;
+            recalculateTimesFromStart(presentationData.start_time);
+        }
+        console.log(`Timer resumed after ${formatSectionDuration(pausedMinutes)}`);
+    } catch (error) {
+        console.error('Error resuming timer:', error);
+    }
+
+    updatePauseButtonState();
+    updateDisplay();
+}
+
+/**
+ * Toggles between paused and running
+ */
+function togglePause() {
+    if (isPaused()) {
+        resumeTimer();
+    } else {
+        pauseTimer();
+    }
+}
+
+/**
+ * Keeps a pause attached to its section when sections are inserted, deleted or moved
+ * @param {Function} remap - Maps the paused section's old index to its new one
+ */
+function remapPausedSection(remap) {
+    if (!pauseState || pauseState.sectionIndex === -1) return;
+    pauseState.sectionIndex = remap(pauseState.sectionIndex);
+}
+
+/**
+ * Discards any pause in progress without shifting the schedule
+ * Used when the schedule is replaced or restarted
+ */
+function resetPause() {
+    pauseState = null;
+    updatePauseButtonState();
+}
+
+/**
+ * Updates the text of all pause buttons to match the pause state
+ */
+function updatePauseButtonState() {
+    document.querySelectorAll('.pause-button').forEach(button => {
+        button.textContent = isPaused() ? 'Resume' : 'Pause';
+        button.classList.toggle('paused', isPaused());
+        button.setAttribute('aria-pressed', isPaused() ? 'true' : 'false');
+    });
+}
+
+/**
+ * Shows the PAUSED banner with the time spent paused so far
+ */
+function updatePauseIndicator() {
+    const indicator = document.getElementById('pause-indicator');
+    if (!indicator) return;
+
+    if (isPaused()) {
+        indicator.textContent = `PAUSED ${formatDuration(Date.now() - pauseState.pausedAt.getTime())}`;
+        indicator.classList.add('active');
+    } else {
+        indicator.textContent = '';
+        indicator.classList.remove('active');
+    }
+}
+
+/**
+ * Scrolls to the current section in the timeline
+ * @param {number} currentSectionIndex - Index of the current section, or -1 if no section is active
+ */
+function scrollToCurrentSection(currentSectionIndex) {
+    try {
+        if (currentSectionIndex === -1) {
+            return;
+        }
+        
+        // Get the scrollable timeline container
+        const timelineContainer = document.querySelector('.timeline-container');
+        if (!timelineContainer) {
+            console.error('Timeline container not found');
+            return;
+        }
+        
+        // Find the current section element
+        const currentSectionElement = document.getElementById(`section-${currentSectionIndex}`);
+        if (!currentSectionElement) {
+            console.error('Current section element not found for index:', currentSectionIndex);
+            return;
+        }
+        
+        // Use scrollIntoView to center the element in the visible area
+        currentSectionElement.scrollIntoView({
+            behavior: 'smooth',
+            block: 'center',
+            inline: 'nearest'
+        });
+        
+    } catch (error) {
+        console.error('Error scrolling to current section:', error);
+    }
+}
+
+/**
+ * Validates and processes imported YAML data
+ * @param {Object} data - Parsed YAML data
+ * @returns {Object} - Validated and processed data
+ */
+function validateAndProcessYAML(data) {
+    // Parses an optional duration setting, rejecting anything that isn't a positive duration
+    function parsePositiveDuration(value, label) {
+        const minutes = parseSectionDuration(value);
+        if (isNaN(minutes) || minutes <= 0) {
+            throw new Error(`${label} must be a positive duration (minutes, "mm:ss" or units like "90s" or "1h15m")`);
+        }
+        return minutes;
+    }
+
+    // Parses warning thresholds: each stage is a duration, a percentage of the section ("20%") or false
+    function parseWarningThresholds(value, label) {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error(`${label} must be a mapping of warning stages (yellow, red, flash)`);
+        }
+
+        const thresholds = {};
+        Object.keys(value).forEach(stage => {
+            if (!Object.prototype.hasOwnProperty.call(DEFAULT_WARNING_THRESHOLDS, stage)) {
+                throw new Error(`${label} has unknown stage "${stage}"`);
+            }
+
+            const threshold = value[stage];
+            if (threshold === false || threshold === null) {
+                thresholds[stage] = null;
+            } else if (typeof threshold === 'string' && /%\s*$/.test(threshold)) {
+                const percent = parseFloat(threshold);
+                if (isNaN(percent) || percent <= 0 || percent > 100) {
+                    throw new Error(`${label} ${stage} must be a percentage between 0 and 100`);
+                }
+                thresholds[stage] = { percent: percent };
+            } else {
+                thresholds[stage] = parsePositiveDuration(threshold, `${label} ${stage}`);
+            }
+        });
+        return thresholds;
+    }
+
+    // Parses chime settings; false turns every chime off, and warn_at may be one duration or a list
+    function parseChimeSettings(value, label) {
+        if (value === false) {
+            return { warn_at: [], section_change: false, zero: false, overtime: false };
+        }
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error(`${label} must be false or a mapping of chime settings`);
+        }
+
+        const settings = {};
+        Object.keys(value).forEach(key => {
+            if (key === 'warn_at') {
+                const thresholds = value.warn_at === false || value.warn_at === null ? [] : [].concat(value.warn_at);
+                settings.warn_at = thresholds.map(threshold => parsePositiveDuration(threshold, `${label} warn_at`));
+            } else if (key === 'section_change' || key === 'zero' || key === 'overtime') {
+                if (typeof value[key] !== 'boolean') {
+                    throw new Error(`${label} ${key} must be true or false`);
+                }
+                settings[key] = value[key];
+            } else {
+                throw new Error(`${label} has unknown setting "${key}"`);
+            }
+        });
+        return settings;
+    }
+
+    // Group ids tie a group's sections together, across every session
+    let nextGroupId = 1;
+
+    // Parses a list of sections, each with a name and a positive duration
+    // A section with its own "sections" list is a group; its sections are flattened into the list
+    function parseSections(list, emptyMessage, group = null) {
+        if (!list || !Array.isArray(list) || list.length === 0) {
+            throw new Error(emptyMessage);
+        }
+
+        const sections = [];
+
+        // Validate each section
+        list.forEach((section, index) => {
+            if (!section || typeof section !== 'object') {
+                throw new Error(`Section ${index + 1} must be a valid object`);
+            }
+            
+            // Plain numeric names (e.g. "- name: 2024") are parsed as numbers
+            const name = typeof section.name === 'number' ? String(section.name) : section.name;
+            
+            if (!name || typeof name !== 'string' || name.trim() === '') {
+                throw new Error(`Section ${index + 1} must have a non-empty "name" field`);
+            }
+            
+            if (section.sections !== undefined && section.sections !== null) {
+                if (group) {
+                    throw new Error(`Section "${name}" is already inside "${group.name}"; sections can only be nested one level deep`);
+                }
+                if (section.duration !== undefined && section.duration !== null) {
+                    throw new Error(`Section "${name}" has both a duration and sections; a group's length is the sum of its sections`);
+                }
+
+                // The group's settings apply to each of its sections unless they set their own
+                const inherited = {};
+                GROUP_INHERITED_SETTINGS.forEach(key => {
+                    if (section[key] !== undefined && section[key] !== null) {
+                        inherited[key] = section[key];
+                    }
+                });
+                const children = Array.isArray(section.sections) ?
+                    section.sections.map(child => child && typeof child === 'object' && !Array.isArray(child) ? Object.assign({}, inherited, child) : child) :
+                    section.sections;
+
+                sections.push(...parseSections(children, `Section "${name}" must contain at least one section in its "sections" list`,
+                    { id: nextGroupId++, name: name.trim() }));
+                return;
+            }
+            
+            // Accepts minutes, mm:ss or h/m/s units
+            const duration = parseSectionDuration(section.duration);
+            
+            if (isNaN(duration) || duration <= 0) {
+                throw new Error(`Section "${name}" must have a positive "duration" field (minutes, "mm:ss" or units like "90s" or "1h15m")`);
+            }
+            
+            const processedSection = {
+                name: name.trim(),
+                duration: duration
+            };
+            
+            // Warning thresholds for just this section
+            if (section.warnings !== undefined && section.warnings !== null) {
+                processedSection.warnings = parseWarningThresholds(section.warnings, `Section "${name}" warnings`);
+            }
+            
+            // Chime settings for just this section
+            if (section.chimes !== undefined && section.chimes !== null) {
+                processedSection.chimes = parseChimeSettings(section.chimes, `Section "${name}" chimes`);
+            }
+            
+            // Fixed sections keep their length when fitting to a hard stop
+            if (section.fixed === true) {
+                processedSection.fixed = true;
+            }
+            
+            if (section.adjust_step !== undefined && section.adjust_step !== null) {
+                processedSection.adjust_step = parsePositiveDuration(section.adjust_step, `Section "${name}" adjust_step`);
+            }
+            
+            if (group) {
+                processedSection.group = group.name;
+                processedSection.group_id = group.id;
+            }
+            
+            // Who presents this section; checked against the speakers roster once all sections are read
+            if (section.speaker !== undefined && section.speaker !== null) {
+                const speaker = typeof section.speaker === 'object' ? '' : String(section.speaker).trim();
+                if (speaker === '') {
+                    throw new Error(`Section "${name}" speaker must be a name`);
+                }
+                processedSection.speaker = speaker;
+            }
+            
+            // Speaker notes for the operator; a block string (|) keeps line breaks
+            if (section.notes !== undefined && section.notes !== null) {
+                if (typeof section.notes === 'object') {
+                    throw new Error(`Section "${name}" notes must be text`);
+                }
+                const notes = String(section.notes).replace(/\s+$/, '');
+                if (notes !== '') {
+                    processedSection.notes = notes;
+                }
+            }
+            
+            sections.push(processedSection);
+        });
+
+        return sections;
+    }
+
+    // Parses the speakers roster: a list of names, or of mappings with a name and an optional color
+    function parseSpeakers(value) {
+        if (!Array.isArray(value)) {
+            throw new Error('speakers must be a list of names, or of mappings with a name and a color');
+        }
+
+        const speakers = [];
+        value.forEach((entry, index) => {
+            const speaker = entry && typeof entry === 'object' && !Array.isArray(entry) ? entry : { name: entry };
+            const name = speaker.name === undefined || speaker.name === null || typeof speaker.name === 'object' ?
+                '' : String(speaker.name).trim();
+            if (name === '') {
+                throw new Error(`Speaker ${index + 1} must have a non-empty "name" field`);
+            }
+            if (speakers.some(existing => existing.name === name)) {
+                throw new Error(`Speaker "${name}" is listed more than once`);
+            }
+
+            let color = SPEAKER_COLORS[speakers.length % SPEAKER_COLORS.length];
+            if (speaker.color !== undefined && speaker.color !== null) {
+                color = String(speaker.color).trim();
+                if (typeof CSS !== 'undefined' && CSS.supports && !CSS.supports('color', color)) {
+                    throw new Error(`Speaker "${name}" color must be a CSS color such as "#e91e63" or "teal"`);
+                }
+            }
+            speakers.push({ name: name, color: color });
+        });
+        return speakers;
+    }
+
+    // Parses a start time, which may have a date in front ("2026-10-20T09:00:00")
+    function parseStartTime(value, label) {
+        const startTime = String(value).trim();
+        try {
+            parseTime(startTime, null, null);
+        } catch (error) {
+            throw new Error(`${label} must be a time in 24-hour format (HH:MM:SS), optionally with a date (YYYY-MM-DDTHH:MM:SS)`);
+        }
+        return startTime;
+    }
+
+    // Parses an optional hard stop, given as end_time or hard_stop
+    function parseHardStop(value, label) {
+        const hardStop = value.end_time !== undefined && value.end_time !== null ? value.end_time : value.hard_stop;
+        if (hardStop === undefined || hardStop === null) {
+            return null;
+        }
+        try {
+            parseTime(String(hardStop), null, null);
+        } catch (error) {
+            throw new Error(`${label} must be a time in 24-hour format (HH:MM:SS)`);
+        }
+        return String(hardStop);
+    }
+
+    try {
+        console.log('Validating imported YAML data:', data);
+        
+        // Handle null/undefined data
+        if (!data || typeof data !== 'object') {
+            data = {};
+        }
+        
+        // Optional IANA timezone the schedule's times are in, e.g. "Europe/Paris"
+        let timeZone = null;
+        if (data.timezone !== undefined && data.timezone !== null) {
+            try {
+                timeZone = new Intl.DateTimeFormat('en-US', { timeZone: String(data.timezone) }).resolvedOptions().timeZone;
+            } catch (error) {
+                throw new Error('timezone must be an IANA timezone name such as "Europe/Paris" or "America/New_York"');
+            }
+        }
+        
+        // Initialize result with defaults
+        const result = {
+            title: data.title ? String(data.title) : "Presentation Timer",
+            start_time: data.start_time ? parseStartTime(data.start_time, 'start_time') : formatTime(new Date(), timeZone),
+            sections: []
+        };
+        if (timeZone) {
+            result.timezone = timeZone;
+        }
+        // The start time as configured; without one the saved configuration keeps starting now
+        result.saved_start_time = data.start_time ? result.start_time : null;
+        
+        // Optional hard stop; the schedule is squeezed to finish by this time
+        const hardStop = parseHardStop(data, 'end_time');
+        if (hardStop) {
+            result.end_time = hardStop;
+        }
+        
+        // Optional warning thresholds for every section
+        if (data.warnings !== undefined && data.warnings !== null) {
+            result.warnings = parseWarningThresholds(data.warnings, 'warnings');
+        }
+        
+        // Optional chime settings for every section
+        if (data.chimes !== undefined && data.chimes !== null) {
+            result.chimes = parseChimeSettings(data.chimes, 'chimes');
+        }
+
+        // Optional full-screen alerts: true (border), 'border' or 'background'
+        if (data.visual_alerts !== undefined && data.visual_alerts !== null && data.visual_alerts !== false) {
+            const style = data.visual_alerts === true ? 'border' : String(data.visual_alerts).toLowerCase();
+            if (!VISUAL_ALERT_STYLES.includes(style)) {
+                throw new Error(`visual_alerts must be true, false, ${VISUAL_ALERT_STYLES.map(s => `"${s}"`).join(' or ')}`);
+            }
+            result.visual_alerts = style;
+        }
+
+        // Optional readout for the big timer; each device can switch it by tapping the timer
+        if (data.display_mode !== undefined && data.display_mode !== null) {
+            const mode = String(data.display_mode).toLowerCase();
+            if (!DISPLAY_MODES.some(candidate => candidate.id === mode)) {
+                throw new Error(`display_mode must be one of ${DISPLAY_MODES.map(candidate => `"${candidate.id}"`).join(', ')}`);
+            }
+            result.display_mode = mode;
+        }
+
+        // Optional +/- button step, in the same duration format as sections
+        if (data.adjust_step !== undefined && data.adjust_step !== null) {
+            result.adjust_step = parsePositiveDuration(data.adjust_step, 'adjust_step');
+        }
+        
+        if (data.sessions !== undefined && data.sessions !== null) {
+            // Agenda mode: each session has its own start time and sections, e.g. one per day
+            if (data.sections !== undefined || data.start_time !== undefined || hardStop) {
+                throw new Error('Use either top-level "start_time" and "sections" or a "sessions" list, not both');
+            }
+            if (!Array.isArray(data.sessions) || data.sessions.length === 0) {
+                throw new Error('"sessions" must be a list with at least one session');
+            }
+
+            result.sessions = data.sessions.map((session, index) => {
+                if (!session || typeof session !== 'object' || Array.isArray(session)) {
+                    throw new Error(`Session ${index + 1} must be a valid object`);
+                }
+                const title = session.title !== undefined && session.title !== null ? String(session.title) : `Session ${index + 1}`;
+                if (session.start_time === undefined || session.start_time === null) {
+                    throw new Error(`Session "${title}" must have a "start_time"`);
+                }
+
+                const processedSession = {
+                    title: title,
+                    start_time: parseStartTime(session.start_time, `Session "${title}" start_time`),
+                    sections: parseSections(session.sections, `Session "${title}" must contain at least one section in its "sections" array`)
+                };
+                processedSession.saved_start_time = processedSession.start_time;
+                const sessionHardStop = parseHardStop(session, `Session "${title}" end_time`);
+                if (sessionHardStop) {
+                    processedSession.end_time = sessionHardStop;
+                }
+                return processedSession;
+            });
+
+            // Sessions run one after another
+            result.sessions.reduce((previous, session) => {
+                if (parseTime(session.start_time, null, timeZone).getTime() < getSessionEnd(previous, timeZone).getTime()) {
+                    throw new Error(`Session "${session.title}" starts before "${previous.title}" ends`);
+                }
+                return session;
+            });
+
+            // The first session starts out active; the timer moves on as sessions end
+            result.session_index = 0;
+            result.start_time = result.sessions[0].start_time;
+            result.sections = result.sessions[0].sections;
+            if (result.sessions[0].end_time) {
+                result.end_time = result.sessions[0].end_time;
+            }
+        } else {
+            result.sections = parseSections(data.sections, 'YAML file must contain at least one section in the "sections" array');
+        }
+        
+        // Optional speakers roster; without one, speakers named by sections get colors in order
+        const hasRoster = data.speakers !== undefined && data.speakers !== null;
+        const speakers = hasRoster ? parseSpeakers(data.speakers) : [];
+        (result.sessions || [result]).forEach(part => {
+            part.sections.forEach(section => {
+                if (!section.speaker || speakers.some(speaker => speaker.name === section.speaker)) return;
+                if (hasRoster) {
+                    throw new Error(`Section "${section.name}" speaker "${section.speaker}" is not in the speakers list`);
+                }
+                speakers.push({ name: section.speaker, color: SPEAKER_COLORS[speakers.length % SPEAKER_COLORS.length] });
+            });
+        });
+        if (speakers.length > 0) {
+            result.speakers = speakers;
+        }
+        
+        console.log('YAML validation successful:', result);
+        return result;
+        
+    } catch (error) {
+        console.error('YAML validation failed:', error);
+        throw error;
+    }
+}
+
+/**
+ * Saves the YAML text to localStorage
+ * @param {string} yamlText - The YAML text to save
+ */
+function saveYAMLToStorage(yamlText) {
+    try {
+        localStorage.setItem(STORAGE_KEY, yamlText);
+        console.log('Successfully saved YAML to localStorage');
+        return true;
+    } catch (error) {
+        console.warn('Failed to save YAML to localStorage:', error);
+        return false;
+    }
+}
+
+/**
+ * Loads YAML text from localStorage
+ * @returns {string|null} The saved YAML text or null if not found
+ */
+function loadYAMLFromStorage() {
+    try {
+        return localStorage.getItem(STORAGE_KEY);
+    } catch (error) {
+        console.warn('Failed to load YAML from localStorage:', error);
+        return null;
+    }
+}
+
+/**
+ * Checks if settings have been loaded (YAML exists in localStorage)
+ * @returns {boolean} - True if settings are loaded
+ */
+function hasSettingsLoaded() {
+    try {
+        return localStorage.getItem(STORAGE_KEY) !== null;
+    } catch (error) {
+        console.warn('Failed to check localStorage:', error);
+        return false;
+    }
+}
+
+/**
+ * Clears the saved YAML from localStorage
+ */
+function clearYAMLFromStorage() {
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+        console.log('Successfully cleared YAML from localStorage');
+    } catch (error) {
+        console.warn('Failed to clear YAML from localStorage:', error);
+    }
+}
+
+// Presentation library
+// Every imported configuration is kept as a named entry, so several talks can be queued up.
+// The active entry's YAML is also the saved configuration under STORAGE_KEY
+const LIBRARY_STORAGE_KEY = 'presentationTimerLibrary';
+const LIBRARY_ACTIVE_KEY = 'presentationTimerLibraryActive';
+
+/**
+ * Loads the saved presentations
+ * @returns {Array<Object>} - Entries with id, name, yaml, createdAt and lastUsed
+ */
+function getLibrary() {
+    try {
+        const entries = JSON.parse(localStorage.getItem(LIBRARY_STORAGE_KEY));
+        if (!Array.isArray(entries)) return [];
+        return entries.filter(entry => entry && typeof entry.id === 'string' && typeof entry.yaml === 'string');
+    } catch (error) {
+        console.warn('Failed to load the presentation library:', error);
+        return [];
+    }
+}
+
+/**
+ * Saves the presentation library
+ * @param {Array<Object>} entries - Library entries
+ * @returns {boolean} - True if saved
+ */
+function saveLibrary(entries) {
+    try {
+        localStorage.setItem(LIBRARY_STORAGE_KEY, JSON.stringify(entries));
+        return true;
+    } catch (error) {
+        console.warn('Failed to save the presentation library:', error);
+        alert('Could not save the presentation library. Browser storage may be full.');
+        return false;
+    }
+}
+
+/**
+ * Gets the id of the presentation that is loaded
+ * @returns {string|null} - Library entry id
+ */
+function getActiveLibraryId() {
+    try {
+        return localStorage.getItem(LIBRARY_ACTIVE_KEY);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Sets the presentation that is loaded
+ * @param {string|null} id - Library entry id, or null for none
+ */
+function setActiveLibraryId(id) {
+    try {
+        if (id) {
+            localStorage.setItem(LIBRARY_ACTIVE_KEY, id);
+        } else {
+            localStorage.removeItem(LIBRARY_ACTIVE_KEY);
+        }
+    } catch (error) {
+        console.warn('Failed to save the active presentation:', error);
+    }
+}
+
+/**
+ * Adds a presentation to the library
+ * @param {string} name - Name to show in the library
+ * @param {string} yamlText - Configuration text
+ * @returns {Object|null} - The new entry, or null if it couldn't be saved
+ */
+function addLibraryEntry(name, yamlText) {
+    const now = Date.now();
+    const entry = {
+        id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        name: name,
+        yaml: yamlText,
+        createdAt: now,
+        lastUsed: now
+    };
+
+    const entries = getLibrary();
+    entries.push(entry);
+    return saveLibrary(entries) ? entry : null;
+}
+
+/**
+ * Changes fields of a library entry
+ * @param {string} id - Library entry id
+ * @param {Object} changes - Fields to change
+ */
+function updateLibraryEntry(id, changes) {
+    const entries = getLibrary();
+    const entry = entries.find(candidate => candidate.id === id);
+    if (!entry) return;
+
+    Object.assign(entry, changes);
+    saveLibrary(entries);
+}
+
+/**
+ * Adds a configuration saved before the library existed as its first entry
+ */
+function migrateSavedConfigToLibrary() {
+    const savedYAML = loadYAMLFromStorage();
+    if (!savedYAML || getLibrary().length > 0) return;
+
+    let name = 'Saved presentation';
+    try {
+        name = parseYAMLData(savedYAML).title || name;
+    } catch (error) {
+        // Keep the generic name; the configuration is still worth keeping
+    }
+
+    const entry = addLibraryEntry(name, savedYAML);
+    if (entry) {
+        setActiveLibraryId(entry.id);
+        console.log('Added the saved configuration to the presentation library');
+    }
+}
+
+// New presentation wizard
+// Builds a schedule on the device itself, starting from a template or from nothing
+const PRESENTATION_TEMPLATES = [
+    {
+        id: 'talk-20',
+        label: '20-min talk with Q&A',
+        title: 'Talk',
+        sections: [
+            { name: 'Introduction', duration: 2 },
+            { name: 'Main talk', duration: 13 },
+            { name: 'Q&A', duration: 5 }
+        ]
+    },
+    {
+        id: 'workshop-45',
+        label: '45-min workshop',
+        title: 'Workshop',
+        sections: [
+            { name: 'Welcome and setup', duration: 5 },
+            { name: 'Concepts', duration: 10 },
+            { name: 'Hands-on exercise', duration: 20 },
+            { name: 'Review', duration: 5 },
+            { name: 'Q&A', duration: 5 }
+        ]
+    },
+    {
+        id: 'lightning-5',
+        label: '5-min lightning talk',
+        title: 'Lightning Talk',
+        sections: [
+            { name: 'Talk', duration: 4.5 },
+            { name: 'Handover', duration: 0.5 }
+        ]
+    },
+    {
+        id: 'meeting-30',
+        label: '30-min meeting',
+        title: 'Meeting',
+        sections: [
+            { name: 'Updates', duration: 10 },
+            { name: 'Discussion', duration: 15 },
+            { name: 'Action items', duration: 5 }
+        ]
+    }
+];
+
+/**
+ * Builds a presentation from the wizard's fields and saves it like an import
+ * @param {string} title - Presentation title
+ * @param {string} startTime - Start time as "HH:MM:SS"
+ * @param {Array<Object>} sections - Sections with name and duration in minutes
+ */
+function createPresentation(title, startTime, sections) {
+    // Go through the same YAML as an import, so the result is validated and saved identically
+    const yamlText = serializeScheduleYAML({ title: title, start_time: startTime, sections: sections });
+    const newData = parseYAMLData(yamlText);
+    recordScheduleChange(`New presentation ${title}`);
+
+    const entry = addLibraryEntry(title, yamlText);
+    setActiveLibraryId(entry ? entry.id : null);
+    saveYAMLToStorage(yamlText);
+    showLoadedPresentation(newData);
+
+    console.log('Created presentation:', title);
+}
+
+/**
+ * Adds a section row to the wizard
+ * @param {Object} [section] - Name and duration in minutes to fill in
+ * @param {HTMLElement} [after] - Row to add it after; the end of the list if omitted
+ * @returns {HTMLElement|null} - The new row
+ */
+function addWizardSectionRow(section = { name: '', duration: null }, after = null) {
+    const list = document.getElementById('new-presentation-sections');
+    if (!list) return null;
+
+    const row = document.createElement('div');
+    row.className = 'wizard-section-row';
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'wizard-section-name';
+    nameInput.placeholder = 'Section name';
+    nameInput.setAttribute('aria-label', 'Section name');
+    nameInput.value = section.name;
+
+    const durationInput = document.createElement('input');
+    durationInput.type = 'text';
+    durationInput.className = 'wizard-section-duration';
+    durationInput.placeholder = 'min';
+    durationInput.title = 'Minutes, mm:ss or units such as 90s or 1h15m';
+    durationInput.setAttribute('aria-label', 'Duration');
+    durationInput.value = section.duration ? formatDurationInput(section.duration) : '';
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'row-action delete';
+    removeButton.innerHTML = '&times;';
+    removeButton.setAttribute('aria-label', 'Remove section');
+    removeButton.addEventListener('click', () => {
+        row.remove();
+        updateWizardTotal();
+    });
+
+    // Enter adds the next section, for quickly typing a whole agenda
+    [nameInput, durationInput].forEach(input => {
+        input.addEventListener('keydown', (event) => {
+            if (event.key !== 'Enter') return;
+            event.preventDefault();
+            const nextRow = addWizardSectionRow(undefined, row);
+            if (nextRow) {
+                nextRow.querySelector('.wizard-section-name').focus();
+            }
+        });
+    });
+    durationInput.addEventListener('input', () => {
+        durationInput.setCustomValidity('');
+        updateWizardTotal();
+    });
+
+    row.appendChild(nameInput);
+    row.appendChild(durationInput);
+    row.appendChild(removeButton);
+    list.insertBefore(row, after ? after.nextSibling : null);
+    updateWizardTotal();
+    return row;
+}
+
+/**
+ * Reads the wizard's section rows, skipping empty ones
+ * @returns {Array<Object>} - Rows with name, duration in minutes and the duration input
+ */
+function getWizardSections() {
+    return Array.from(document.querySelectorAll('#new-presentation-sections .wizard-section-row'))
+        .map(row => {
+            const durationInput = row.querySelector('.wizard-section-duration');
+            return {
+                name: row.querySelector('.wizard-section-name').value.trim(),
+                duration: parseSectionDuration(durationInput.value),
+                durationText: durationInput.value.trim(),
+                durationInput: durationInput
+            };
+        })
+        .filter(section => section.name !== '' || section.durationText !== '');
+}
+
+/**
+ * Shows the total length of the sections in the wizard
+ */
+function updateWizardTotal() {
+    const totalElement = document.getElementById('new-presentation-total');
+    if (!totalElement) return;
+
+    const total = getWizardSections().reduce((sum, section) => sum + (section.duration > 0 ? section.duration : 0), 0);
+    totalElement.textContent = total > 0 ? `Total: ${formatSectionDuration(total)}` : '';
+}
+
+/**
+ * Fills the wizard from a template, or clears it
+ * @param {string} templateId - Template id, or '' for a blank presentation
+ */
+function applyWizardTemplate(templateId) {
+    const template = PRESENTATION_TEMPLATES.find(candidate => candidate.id === templateId);
+    const titleInput = document.getElementById('new-presentation-name');
+    const list = document.getElementById('new-presentation-sections');
+    if (!list) return;
+
+    // Replace the title only if it's empty or still a template's title
+    if (titleInput && (titleInput.value.trim() === '' || PRESENTATION_TEMPLATES.some(candidate => candidate.title === titleInput.value))) {
+        titleInput.value = template ? template.title : '';
+    }
+
+    list.innerHTML = '';
+    (template ? template.sections : [{ name: '', duration: null }]).forEach(section => addWizardSectionRow(section));
+}
+
+/**
+ * Shows or hides the new presentation wizard
+ * @param {boolean} open - Whether to show it
+ */
+function toggleNewPresentationDialog(open) {
+    const dialog = document.getElementById('new-presentation-dialog');
+    if (!dialog) return;
+
+    dialog.hidden = !open;
+    if (open) {
+        const form = document.getElementById('new-presentation-form');
+        const templateSelect = document.getElementById('new-presentation-template');
+        if (form) {
+            form.reset();
+        }
+        applyWizardTemplate(templateSelect ? templateSelect.value : '');
+
+        const titleInput = document.getElementById('new-presentation-name');
+        if (titleInput) {
+            titleInput.focus();
+            titleInput.select();
+        }
+    }
+}
+
+/**
+ * Checks the wizard's fields and creates the presentation
+ * @param {Event} event - Form submit event
+ */
+function submitNewPresentation(event) {
+    event.preventDefault();
+    const form = event.target;
+    const titleInput = document.getElementById('new-presentation-name');
+    const startInput = document.getElementById('new-presentation-start');
+    const sections = getWizardSections();
+
+    // Point out the first duration that can't be used
+    const invalid = sections.find(section => !(section.duration > 0));
+    if (invalid) {
+        invalid.durationInput.setCustomValidity('Enter a duration such as 10, 4:30 or 90s');
+        form.reportValidity();
+        return;
+    }
+    if (sections.length === 0) {
+        alert('Add at least one section.');
+        return;
+    }
+
+    // A blank start time means starting now, in device time as the new presentation has no timezone;
+    // the time input leaves off zero seconds
+    let startTime = startInput && startInput.value ? startInput.value : formatTime(new Date(), null);
+    if (startTime.split(':').length === 2) {
+        startTime += ':00';
+    }
+
+    try {
+        createPresentation(
+            titleInput.value.trim() || 'Presentation Timer',
+            startTime,
+            sections.map((section, index) => ({
+                name: section.name || `Section ${index + 1}`,
+                duration: section.duration
+            }))
+        );
+        toggleNewPresentationDialog(false);
+    } catch (error) {
+        console.error('Error creating presentation:', error);
+        alert('Error creating presentation: ' + error.message);
+    }
+}
+
+/**
+ * Sets up the new presentation wizard: template list, buttons and the empty timeline's link
+ */
+function setupNewPresentationWizard() {
+    const dialog = document.getElementById('new-presentation-dialog');
+    const form = document.getElementById('new-presentation-form');
+    const templateSelect = document.getElementById('new-presentation-template');
+    const addButton = document.getElementById('new-presentation-add-section');
+    const cancelButton = document.getElementById('new-presentation-cancel');
+    const newButton = document.getElementById('new-presentation-button');
+    const timeline = document.getElementById('timeline');
+    if (!dialog || !form) return;
+
+    if (templateSelect) {
+        PRESENTATION_TEMPLATES.forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = template.label;
+            templateSelect.appendChild(option);
+        });
+        templateSelect.addEventListener('change', () => applyWizardTemplate(templateSelect.value));
+    }
+    if (addButton) {
+        addButton.addEventListener('click', () => {
+            const row = addWizardSectionRow();
+            if (row) {
+                row.querySelector('.wizard-section-name').focus();
+            }
+        });
+    }
+    if (cancelButton) {
+        cancelButton.addEventListener('click', () => toggleNewPresentationDialog(false));
+    }
+    if (newButton) {
+        newButton.addEventListener('click', () => toggleNewPresentationDialog(true));
+    }
+    form.addEventListener('submit', submitNewPresentation);
+
+    // The empty timeline is redrawn every second, so its link is handled here
+    if (timeline) {
+        timeline.addEventListener('click', (event) => {
+            if (event.target.closest('.new-presentation-link')) {
+                toggleNewPresentationDialog(true);
+            }
+        });
+    }
+
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && !dialog.hidden) {
+            toggleNewPresentationDialog(false);
+        }
+    });
+}
+
+/**
+ * Shows a newly loaded presentation: title, start time and schedule
+ * @param {Object} data - Presentation data from parseYAMLData
+ */
+function showLoadedPresentation(data) {
+    presentationData = data;
+    resetPause();
+    // A freshly loaded presentation has nothing to write back until it's edited
+    lastSavedSchedule = null;
+    
+    // Update the title if it exists
+    const titleElement = document.getElementById('title');
+    if (titleElement && presentationData.title) {
+        titleElement.textContent = presentationData.title;
+    }
+    
+    // Recalculate times, which also updates the start time inputs, and update display
+    recalculateTimesFromStart(presentationData.start_time);
+    updateDisplay();
+    updateLibraryButtonState();
+}
+
+/**
+ * Loads a presentation from the library
+ * @param {string} id - Library entry id
+ */
+function loadLibraryEntry(id) {
+    const entry = getLibrary().find(candidate => candidate.id === id);
+    if (!entry) return;
+
+    try {
+        const newData = parseYAMLData(entry.yaml);
+        recordScheduleChange(`Load of ${entry.name}`);
+
+        saveYAMLToStorage(entry.yaml);
+        setActiveLibraryId(entry.id);
+        updateLibraryEntry(entry.id, { lastUsed: Date.now() });
+        showLoadedPresentation(newData);
+
+        console.log('Loaded presentation from library:', entry.name);
+    } catch (error) {
+        console.error('Error loading presentation from library:', error);
+        alert(`Error loading "${entry.name}": ${error.message}`);
+    }
+}
+
+/**
+ * Renames a presentation in the library
+ * @param {string} id - Library entry id
+ */
+function renameLibraryEntry(id) {
+    const entry = getLibrary().find(candidate => candidate.id === id);
+    if (!entry) return;
+
+    const name = prompt('Presentation name:', entry.name);
+    if (name === null || name.trim() === '') return;
+
+    updateLibraryEntry(id, { name: name.trim() });
+    renderLibraryList();
+}
+
+/**
+ * Copies a presentation in the library, e.g. to make a variant of a talk
+ * @param {string} id - Library entry id
+ */
+function duplicateLibraryEntry(id) {
+    const entry = getLibrary().find(candidate => candidate.id === id);
+    if (!entry) return;
+
+    addLibraryEntry(`${entry.name} (copy)`, entry.yaml);
+    renderLibraryList();
+}
+
+/**
+ * Deletes a presentation from the library
+ * Deleting the loaded presentation unloads it
+ * @param {string} id - Library entry id
+ */
+function deleteLibraryEntry(id) {
+    const entry = getLibrary().find(candidate => candidate.id === id);
+    if (!entry || !confirm(`Delete "${entry.name}" from this browser?`)) return;
+
+    saveLibrary(getLibrary().filter(candidate => candidate.id !== id));
+    if (getActiveLibraryId() === id) {
+        resetSettings();
+    }
+    renderLibraryList();
+    updateLibraryButtonState();
+}
+
+/**
+ * Shows or hides the presentation library
+ * @param {boolean} open - Whether to show it
+ */
+function toggleLibraryDialog(open) {
+    const dialog = document.getElementById('library-dialog');
+    if (!dialog) return;
+
+    dialog.hidden = !open;
+    if (open) {
+        renderLibraryList();
+        const closeButton = document.getElementById('library-close');
+        if (closeButton) {
+            closeButton.focus();
+        }
+    }
+}
+
+/**
+ * Fills the library dialog with saved presentations, most recently used first
+ */
+function renderLibraryList() {
+    const list = document.getElementById('library-list');
+    if (!list) return;
+
+    const activeId = getActiveLibraryId();
+    const entries = getLibrary().sort((a, b) => b.lastUsed - a.lastUsed);
+    list.innerHTML = '';
+
+    if (entries.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'dialog-hint';
+        empty.textContent = 'No saved presentations yet. Imported configurations are added here.';
+        list.appendChild(empty);
+        return;
+    }
+
+    entries.forEach(entry => {
+        const row = document.createElement('div');
+        row.className = 'library-row';
+        row.classList.toggle('active', entry.id === activeId);
+
+        const info = document.createElement('div');
+        info.className = 'library-info';
+        const name = document.createElement('span');
+        name.className = 'library-name';
+        name.textContent = entry.id === activeId ? `${entry.name} (loaded)` : entry.name;
+        const lastUsed = document.createElement('span');
+        lastUsed.className = 'library-last-used';
+        lastUsed.textContent = `Last used ${new Date(entry.lastUsed).toLocaleString()}`;
+        info.appendChild(name);
+        info.appendChild(lastUsed);
+        row.appendChild(info);
+
+        const actions = document.createElement('div');
+        actions.className = 'library-actions';
+        [
+            ['Load', () => { loadLibraryEntry(entry.id); toggleLibraryDialog(false); }],
+            ['Rename', () => renameLibraryEntry(entry.id)],
+            ['Duplicate', () => duplicateLibraryEntry(entry.id)],
+            ['Delete', () => deleteLibraryEntry(entry.id)]
+        ].forEach(([label, action]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'library-action';
+            button.textContent = label;
+            button.setAttribute('aria-label', `${label} ${entry.name}`);
+            button.addEventListener('click', action);
+            actions.appendChild(button);
+        });
+        row.appendChild(actions);
+
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Shows how many presentations are saved on the library buttons
+ */
+function updateLibraryButtonState() {
+    const count = getLibrary().length;
+    document.querySelectorAll('#library-button').forEach(button => {
+        button.textContent = count > 0 ? `Library (${count})` : 'Library';
+    });
+}
+
+/**
+ * Sets up the library dialog's buttons, backdrop and Escape key
+ */
+function setupLibraryDialog() {
+    const dialog = document.getElementById('library-dialog');
+    const closeButton = document.getElementById('library-close');
+    const unloadButton = document.getElementById('library-unload');
+    if (!dialog) return;
+
+    if (closeButton) {
+        closeButton.addEventListener('click', () => toggleLibraryDialog(false));
+    }
+    if (unloadButton) {
+        unloadButton.addEventListener('click', async () => {
+            await resetSettings();
+            renderLibraryList();
+        });
+    }
+    dialog.addEventListener('click', event => {
+        if (event.target === dialog) {
+            toggleLibraryDialog(false);
+        }
+    });
+    document.addEventListener('keydown', event => {
+        if (event.key === 'Escape' && !dialog.hidden) {
+            toggleLibraryDialog(false);
+        }
+    });
+}
+
+/**
+ * Formats a duration in minutes as a configuration value
+ * Whole minutes stay numbers; anything else becomes "mm:ss"
+ * @param {number} minutes - Duration in minutes
+ * @returns {number|string} - Value for the duration field
+ */
+function formatDurationConfigValue(minutes) {
+    const value = formatDurationInput(minutes);
+    return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Converts warning thresholds back to their configuration form
+ * @param {Object} thresholds - Thresholds from validateAndProcessYAML
+ * @returns {Object} - Warnings configuration
+ */
+function buildWarningsConfig(thresholds) {
+    const config = {};
+    Object.keys(thresholds).forEach(stage => {
+        const threshold = thresholds[stage];
+        if (threshold === null) {
+            config[stage] = false;
+        } else if (typeof threshold === 'object') {
+            config[stage] = `${threshold.percent}%`;
+        } else {
+            config[stage] = formatDurationConfigValue(threshold);
+        }
+    });
+    return config;
+}
+
+/**
+ * Converts chime settings back to their configuration form
+ * @param {Object} settings - Chime settings from validateAndProcessYAML
+ * @returns {Object} - Chimes configuration
+ */
+function buildChimesConfig(settings) {
+    const config = Object.assign({}, settings);
+    if (settings.warn_at) {
+        config.warn_at = settings.warn_at.map(formatDurationConfigValue);
+    }
+    return config;
+}
+
+/**
+ * Builds a configuration for the schedule that parseYAMLData reads back
+ * The live schedule uses the sections' current lengths and start time, including pauses,
+ * skips and + and -. The saved plan keeps only explicit edits: names, typed durations,
+ * order and settings, with the configured start time
+ * @param {Object} data - Presentation data
+ * @param {boolean} [saved] - Build the saved plan instead of the live schedule
+ * @returns {Object} - Configuration with the same keys as an imported file
+ */
+function buildScheduleConfig(data, saved = false) {
+    const config = {
+        title: data.title
+    };
+
+    if (data.timezone) config.timezone = data.timezone;
+
+    // In agenda mode the start times and hard stops belong to the sessions
+    if (!data.sessions) {
+        if (!saved) {
+            config.start_time = data.start_time;
+        } else if (data.saved_start_time !== null) {
+            config.start_time = data.saved_start_time !== undefined ? data.saved_start_time : data.start_time;
+        }
+        if (data.end_time) config.end_time = data.end_time;
+    }
+    if (data.adjust_step) config.adjust_step = formatDurationConfigValue(data.adjust_step);
+    if (data.warnings) config.warnings = buildWarningsConfig(data.warnings);
+    if (data.chimes) config.chimes = buildChimesConfig(data.chimes);
+    if (data.visual_alerts) config.visual_alerts = data.visual_alerts;
+    if (data.display_mode) config.display_mode = data.display_mode;
+    if (data.speakers) config.speakers = data.speakers.map(speaker => ({ name: speaker.name, color: speaker.color }));
+
+    if (data.sessions) {
+        config.sessions = data.sessions.map((session, index) => {
+            // The top-level fields are the live copy of the active session
+            const live = index === data.session_index ? data : session;
+            const sessionConfig = {
+                title: session.title,
+                start_time: saved && session.saved_start_time ? session.saved_start_time : live.start_time
+            };
+            if (live.end_time) sessionConfig.end_time = live.end_time;
+            sessionConfig.sections = buildSectionsConfig(live.sections, saved);
+            return sessionConfig;
+        });
+    } else {
+        config.sections = buildSectionsConfig(data.sections, saved);
+    }
+
+    return config;
+}
+
+/**
+ * Builds the configuration for a list of sections
+ * @param {Array<Object>} sections - Sections from presentationData
+ * @param {boolean} [saved] - Use the saved durations instead of the live ones
+ * @returns {Array<Object>} - Plain section settings
+ */
+function buildSectionsConfig(sections, saved = false) {
+    const config = [];
+    // Consecutive sections of one group are nested under it again
+    let groupConfig = null;
+    let groupId = null;
+
+    sections.forEach(section => {
+        // A section skipped straight away has no time left, but imported durations must be positive
+        const minutes = saved && typeof section.saved_duration !== 'undefined' ?
+            section.saved_duration :
+            Math.max(parseSectionDuration(section.duration + (section.hold || 0)), 1 / 60);
+        const sectionConfig = {
+            name: section.name,
+            duration: formatDurationConfigValue(minutes)
+        };
+
+        if (section.speaker) sectionConfig.speaker = section.speaker;
+        if (section.fixed) sectionConfig.fixed = true;
+        if (section.adjust_step) sectionConfig.adjust_step = formatDurationConfigValue(section.adjust_step);
+        if (section.warnings) sectionConfig.warnings = buildWarningsConfig(section.warnings);
+        if (section.chimes) sectionConfig.chimes = buildChimesConfig(section.chimes);
+        if (section.notes) sectionConfig.notes = section.notes;
+
+        if (section.group_id === undefined) {
+            groupConfig = null;
+            config.push(sectionConfig);
+            return;
+        }
+        if (!groupConfig || groupId !== section.group_id) {
+            groupConfig = { name: section.group, sections: [] };
+            groupId = section.group_id;
+            config.push(groupConfig);
+        }
+        groupConfig.sections.push(sectionConfig);
+    });
+
+    return config;
+}
+
+/**
+ * Writes a value as YAML in block style
+ * Strings are always double-quoted so names like "yes" or "10:00" keep their meaning
+ * @param {*} value - Mapping, list or scalar
+ * @param {string} [indent] - Indentation for nested lines
+ * @returns {string} - YAML text
+ */
+function stringifyYAML(value, indent = '') {
+    function scalar(item) {
+        if (item === null || item === undefined) return 'null';
+        if (typeof item === 'string') return JSON.stringify(item);
+        return String(item);
+    }
+
+    function isEmpty(item) {
+        return typeof item === 'object' && item !== null && Object.keys(item).length === 0;
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => {
+            if (typeof item === 'object' && item !== null && !isEmpty(item)) {
+                // The first key goes on the dash line, the rest line up under it
+                const nested = stringifyYAML(item, indent + '  ');
+                return `${indent}- ${nested.slice(indent.length + 2)}`;
+            }
+            return `${indent}- ${isEmpty(item) ? (Array.isArray(item) ? '[]' : '{}') : scalar(item)}`;
+        }).join('\n');
+    }
+
+    return Object.keys(value).map(key => {
+        const item = value[key];
+        if (isEmpty(item)) {
+            return `${indent}${key}: ${Array.isArray(item) ? '[]' : '{}'}`;
+        }
+        if (Array.isArray(item)) {
+            return `${indent}${key}:\n${stringifyYAML(item, indent + '  ')}`;
+        }
+        if (typeof item === 'object' && item !== null) {
+            return `${indent}${key}:\n${stringifyYAML(item, indent + '  ')}`;
+        }
+        return `${indent}${key}: ${scalar(item)}`;
+    }).join('\n');
+}
+
+/**
+ * Serializes the live schedule, or the saved plan, as YAML
+ * @param {Object} data - Presentation data
+ * @param {boolean} [saved] - Serialize the saved plan instead of the live schedule
+ * @returns {string} - YAML text
+ */
+function serializeScheduleYAML(data, saved = false) {
+    return `# Exported from Presentation Timer\n${stringifyYAML(buildScheduleConfig(data, saved))}\n`;
+}
+
+/**
+ * Serializes the live schedule as JSON (which the YAML importer also reads)
+ * @param {Object} data - Presentation data
+ * @returns {string} - JSON text
+ */
+function serializeScheduleJSON(data) {
+    return JSON.stringify(buildScheduleConfig(data), null, 2) + '\n';
+}
+
+/**
+ * Downloads the live schedule as a YAML or JSON file
+ * @param {string} format - 'yaml' or 'json'
+ */
+function exportSchedule(format) {
+    if (!presentationData || !presentationData.sections || presentationData.sections.length === 0) {
+        alert('There is no schedule to export yet.');
+        return;
+    }
+
+    try {
+        const isJSON = format === 'json';
+        const text = isJSON ? serializeScheduleJSON(presentationData) : serializeScheduleYAML(presentationData);
+        const baseName = String(presentationData.title || 'presentation')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'presentation';
+
+        const blob = new Blob([text], { type: isJSON ? 'application/json' : 'text/yaml' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${baseName}.${isJSON ? 'json' : 'yaml'}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        console.log('Exported schedule as', link.download);
+    } catch (error) {
+        console.error('Error exporting schedule:', error);
+        alert(`Error exporting schedule: ${error.message}`);
+    }
+}
+
+// Last plan saved for the loaded library entry, so only edits made since are written back
+let lastSavedSchedule = null;
+let lastSavedScheduleId = null;
+
+/**
+ * Keeps the saved configuration in step with schedule edits, so they survive a reload
+ * Saves the plan, not the running schedule: pauses, skips, + and -, the hard stop's
+ * rescaling and start time changes live in the session store instead
+ * Only replaces a configuration that was imported; the default schedule isn't saved
+ * The first plan seen after loading a presentation is its baseline and isn't written back
+ */
+function saveScheduleToStorage() {
+    if (!presentationData || !presentationData.sections || presentationData.sections.length === 0) return;
+    if (isDisplayView() || !hasSettingsLoaded()) return;
+
+    try {
+        const yamlText = serializeScheduleYAML(presentationData, true);
+        const activeId = getActiveLibraryId();
+        if (lastSavedSchedule === null || activeId !== lastSavedScheduleId) {
+            lastSavedSchedule = yamlText;
+            lastSavedScheduleId = activeId;
+            return;
+        }
+        if (yamlText === lastSavedSchedule) return;
+
+        localStorage.setItem(STORAGE_KEY, yamlText);
+        if (activeId) {
+            updateLibraryEntry(activeId, { yaml: yamlText });
+        }
+        lastSavedSchedule = yamlText;
+    } catch (error) {
+        console.warn('Failed to save the edited schedule to localStorage:', error);
+    }
+}
+
+// Live session
+// The whole runtime state (effective start, edits, pauses and actual section times) is saved
+// on every change, so a reload or crash can pick up the session exactly where it was
+const SESSION_STORAGE_KEY = 'presentationTimerSession';
+// Older sessions are dropped; times are stored without a date, so they can't span days
+const SESSION_MAX_AGE_MS = 12 * 60 * 60 * 1000;
+let lastSavedSession = null;
+
+/**
+ * Saves the live session if it changed since the last save
+ */
+function saveSessionToStorage() {
+    if (!presentationData || !presentationData.sections || presentationData.sections.length === 0) return;
+    if (isDisplayView()) return;
+
+    try {
+        const state = JSON.stringify(getSyncState());
+        if (state === lastSavedSession) return;
+
+        localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({ savedAt: Date.now(), state: JSON.parse(state) }));
+        lastSavedSession = state;
+    } catch (error) {
+        console.warn('Failed to save the session to localStorage:', error);
+    }
+}
+
+/**
+ * Loads the saved session, if there is a recent one
+ * @returns {Object|null} - Session with savedAt and state, or null
+ */
+function loadSavedSession() {
+    try {
+        const session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+        if (!session || !session.state || !session.state.data || !Array.isArray(session.state.data.sections) ||
+            session.state.data.sections.length === 0) {
+            return null;
+        }
+        if (!(Date.now() - session.savedAt < SESSION_MAX_AGE_MS)) {
+            console.log('Saved session is too old to resume');
+            return null;
+        }
+        return session;
+    } catch (error) {
+        console.warn('Failed to load the saved session:', error);
+        return null;
+    }
+}
+
+/**
+ * Removes the saved session
+ */
+function clearSavedSession() {
+    lastSavedSession = null;
+    try {
+        localStorage.removeItem(SESSION_STORAGE_KEY);
+    } catch (error) {
+        console.warn('Failed to clear the saved session:', error);
+    }
+}
+
+/**
+ * Checks whether a saved session had started (or was paused) when it was saved
+ * @param {Object} session - Session from loadSavedSession
+ * @returns {boolean} - True if the presentation was under way
+ */
+function hasSessionStarted(session) {
+    if (session.state.pause) return true;
+    try {
+        return parseTime(session.state.data.start_time, null, session.state.data.timezone || null).getTime() <= Date.now();
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Asks whether to resume a saved session or start fresh
+ * @param {Object} session - Session from loadSavedSession
+ * @returns {Promise<boolean>} - True to resume
+ */
+function askToResumeSession(session) {
+    const dialog = document.getElementById('session-prompt');
+    const details = document.getElementById('session-prompt-details');
+    const resumeButton = document.getElementById('session-resume');
+    const freshButton = document.getElementById('session-fresh');
+    if (!dialog || !resumeButton || !freshButton) {
+        return Promise.resolve(true);
+    }
+
+    const minutesAgo = Math.round((Date.now() - session.savedAt) / 60000);
+    if (details) {
+        details.textContent = `"${session.state.data.title}" started at ${session.state.data.start_time}` +
+            `${session.state.pause ? ' and is paused' : ''}. Last change ${minutesAgo < 1 ? 'less than a minute' : formatSectionDuration(minutesAgo)} ago.`;
+    }
+
+    return new Promise(resolve => {
+        function choose(resume) {
+            dialog.hidden = true;
+            resumeButton.removeEventListener('click', onResume);
+            freshButton.removeEventListener('click', onFresh);
+            document.removeEventListener('keydown', onKeydown);
+            resolve(resume);
+        }
+        function onResume() { choose(true); }
+        function onFresh() { choose(false); }
+        // Escape keeps the session, since starting fresh can't be undone
+        function onKeydown(event) {
+            if (event.key === 'Escape') choose(true);
+        }
+
+        resumeButton.addEventListener('click', onResume);
+        freshButton.addEventListener('click', onFresh);
+        document.addEventListener('keydown', onKeydown);
+        dialog.hidden = false;
+        resumeButton.focus();
+    });
+}
+
+/**
+ * Resets settings to initial state by clearing YAML and reloading default data
+ */
+async function resetSettings() {
+    try {
+        recordScheduleChange('Reset settings');
+        
+        // Clear the saved YAML and session; the library keeps its copy
+        clearYAMLFromStorage();
+        clearSavedSession();
+        setActiveLibraryId(null);
+        
+        // Drop any pause in progress
+        resetPause();
+        
+        // Reset presentation data to empty state
+        presentationData = {
+            title: 'Presentation Timer',
+            start_time: formatTime(new Date(), null),
+            sections: []
+        };
+        
+        // Update the title
+        const titleElement = document.getElementById('title');
+        if (titleElement) {
+            titleElement.textContent = presentationData.title;
+        }
+        
+        // Update the start time input
+        updateStartTimeInputs();
+        
+        // Update the button state
+        updateLibraryButtonState();
+        
+        // Update display
+        updateDisplay();
+        
+        console.log('Settings reset successfully');
+    } catch (error) {
+        console.error('Error resetting settings:', error);
+        alert('Error resetting settings: ' + error.message);
+    }
+}
+
+/**
+ * Handles file import and processing
+ * @param {File} file - Selected YAML file
+ */
+function importYAMLFile(file) {
+    const reader = new FileReader();
+    
+    reader.onload = async function(e) {
+        try {
+            const yamlText = e.target.result;
+            // Parse the YAML data
+            const newData = parseYAMLData(yamlText);
+            recordScheduleChange(`Import of ${file.name}`);
+            
+            // Add it to the library alongside what's already saved, named by its title or file name
+            const name = /^title:/m.test(yamlText) ? newData.title : file.name.replace(/\.(ya?ml|json)$/i, '');
+            const entry = addLibraryEntry(name, yamlText);
+            setActiveLibraryId(entry ? entry.id : null);
+            
+            // Save the YAML text to localStorage before updating the UI
+            saveYAMLToStorage(yamlText);
+            
+            // Update the presentation data
+            showLoadedPresentation(newData);
+            
+            console.log('Successfully imported YAML file:', file.name);
+        } catch (error) {
+            console.error('Error importing YAML file:', error);
+            alert(`Error importing YAML file: ${error.message}`);
+        }
+    };
+    
+    reader.readAsText(file);
+}
+
+/**
+ * Restarts the presentation from the current time
+ */
+function startPresentationNow() {
+    recordScheduleChange('Start now');
+    
+    const currentTimeString = formatStartTime(new Date());
+    
+    // Starting now replaces any pause in progress
+    resetPause();
+    
+    // Recalculate all section times and update every start time field
+    recalculateTimesFromStart(currentTimeString);
+    updateDisplay();
+}
+
+// Function to setup event listeners
+function setupEventListeners() {
+    // Set up time adjustment buttons
+    const plusButton = document.getElementById('time-plus');
+    const minusButton = document.getElementById('time-minus');
+    const nowButton = document.getElementById('now-button');
+    const importButton = document.getElementById('import-button');
+    const fileInput = document.getElementById('yaml-file-input');
+    const pauseButton = document.getElementById('pause-button');
+    const previousButton = document.getElementById('previous-section-button');
+    const nextButton = document.getElementById('next-section-button');
+    const undoButton = document.getElementById('undo-button');
+    const redoButton = document.getElementById('redo-button');
+    const exportButton = document.getElementById('export-button');
+    const exportFormat = document.getElementById('export-format');
+    const libraryButton = document.getElementById('library-button');
+
+    // Plus/minus buttons for time adjustment
+    if (plusButton) {
+        plusButton.addEventListener('click', () => adjustTimes(1));
+    }
+    if (minusButton) {
+        minusButton.addEventListener('click', () => adjustTimes(-1));
+    }
+    
+    // Pause/resume button
+    if (pauseButton) {
+        pauseButton.addEventListener('click', togglePause);
+        updatePauseButtonState();
+    }
+    
+    // Tapping the timer switches what it shows
+    const timeRemainingElement = document.getElementById('time-remaining');
+    if (timeRemainingElement) {
+        timeRemainingElement.addEventListener('click', cycleDisplayMode);
+    }
+    
+    // Previous/next section buttons
+    if (previousButton) {
+        previousButton.addEventListener('click', returnToPreviousSection);
+    }
+    if (nextButton) {
+        nextButton.addEventListener('click', advanceToNextSection);
+    }
+    
+    // Now button to set current time
+    if (nowButton) {
+        nowButton.addEventListener('click', startPresentationNow);
+    }
+    
+    // Undo/redo buttons
+    if (undoButton) {
+        undoButton.addEventListener('click', undoScheduleChange);
+    }
+    if (redoButton) {
+        redoButton.addEventListener('click', redoScheduleChange);
+    }
+    updateHistoryButtons();
+    
+    // Setup import button; imports are added to the library, so nothing is lost
+    if (importButton && fileInput) {
+        importButton.addEventListener('click', () => fileInput.click());
+    }
+    
+    // Presentation library
+    if (libraryButton) {
+        libraryButton.addEventListener('click', () => toggleLibraryDialog(true));
+        updateLibraryButtonState();
+    }
+    setupLibraryDialog();
+    setupNewPresentationWizard();
+    
+    // Export the live schedule in the chosen format
+    if (exportButton) {
+        exportButton.addEventListener('click', () => exportSchedule(exportFormat ? exportFormat.value : 'yaml'));
+    }
+    
+    // Setup file input change handler
+    if (fileInput) {
+        fileInput.addEventListener('change', function(event) {
+            const selectedFile = event.target.files[0];
+            if (selectedFile) {
+                importYAMLFile(selectedFile);
+                // Clear the input so the same file can be selected again
+                event.target.value = '';
+            }
+        });
+    }
+    
+    // Schedule editor
+    setupScheduleEditor();
+    
+    // Speaker notes panel
+    setupSectionNotes();
+    
+    // Keyboard and presentation clicker controls
+    setupKeyboardShortcuts();
+}
+
+// Track if visibility listener is registered (to avoid duplicates)
+let wakeLockVisibilityListenerAdded = false;
+// NoSleep state
+let noSleepEnabled = false;
+
+// Update the wake lock indicator UI
+function updateWakeLockIndicator(status) {
+    const indicator = document.getElementById('wake-lock-indicator');
+    if (!indicator) return;
+    
+    indicator.classList.remove('active', 'pending');
+    
+    switch (status) {
+        case 'active':
+            indicator.classList.add('active');
+            indicator.title = 'Screen wake lock active';
+            break;
+        case 'pending':
+            indicator.classList.add('pending');
+            indicator.title = 'Tap HERE to enable wake lock';
+            break;
+        default:
+            indicator.title = 'Screen wake lock inactive';
+    }
+}
+
+// Detect iOS/iPadOS (iPads report as MacIntel but have touch)
+function isIOS() {
+    return /iPad|iPhone|iPod/.test(navigator.userAgent) || 
+           (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
+}
+
+// NoSleep implementation using multiple strategies
+let noSleepAudioContext = null;
+let noSleepOscillator = null;
+let noSleepGain = null;
+
+// Create and setup the NoSleep using Web Audio API (more reliable on iOS)
+function createNoSleepAudio() {
+    if (noSleepAudioContext) return noSleepAudioContext;
+    
+    try {
+        // Create audio context
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        noSleepAudioContext = new AudioContext();
+        
+        // Create a silent oscillator
+        noSleepOscillator = noSleepAudioContext.createOscillator();
+        noSleepOscillator.frequency.value = 0; // Silent
+        
+        // Create gain node and set to silent
+        noSleepGain = noSleepAudioContext.createGain();
+        noSleepGain.gain.value = 0; // Completely silent
+        
+        // Connect: oscillator -> gain -> destination
+        noSleepOscillator.connect(noSleepGain);
+        noSleepGain.connect(noSleepAudioContext.destination);
+        
+        console.log('NoSleep audio context created');
+        return noSleepAudioContext;
+    } catch (e) {
+        console.error('Failed to create audio context:', e);
+        return null;
+    }
+}
+
+// Enable NoSleep using Web Audio API
+async function enableNoSleep() {
+    if (noSleepEnabled) {
+        console.log('NoSleep already enabled');
+        return true;
+    }
+    
+    console.log('Enabling NoSleep using Web Audio API...');
+    
+    try {
+        const audioCtx = createNoSleepAudio();
+        
+        if (!audioCtx) {
+            console.error('Could not create audio context');
+            updateWakeLockIndicator('pending');
+            return false;
+        }
+        
+        // Resume audio context (required after user interaction on iOS)
+        if (audioCtx.state === 'suspended') {
+            console.log('Audio context suspended, resuming...');
+            await audioCtx.resume();
+        }
+        
+        // Start the oscillator if not already started
+        if (noSleepOscillator && !noSleepOscillator._started) {
+            noSleepOscillator.start(0);
+            noSleepOscillator._started = true;
+            console.log('NoSleep oscillator started');
+        }
+        
+        // Check if audio context is running
+        if (audioCtx.state === 'running') {
+            noSleepEnabled = true;
+            console.log('NoSleep enabled - audio context running');
+            updateWakeLockIndicator('active');
+            return true;
+        } else {
+            console.log('Audio context state:', audioCtx.state);
+            updateWakeLockIndicator('pending');
+            return false;
+        }
+    } catch (err) {
+        console.error('NoSleep enable failed:', err.name, err.message);
+        console.log('Full error:', err);
+        updateWakeLockIndicator('pending');
+        return false;
+    }
+}
+
+// Disable NoSleep
+function disableNoSleep() {
+    if (noSleepAudioContext && noSleepAudioContext.state === 'running') {
+        noSleepAudioContext.suspend();
+    }
+    noSleepEnabled = false;
+    updateWakeLockIndicator('inactive');
+    console.log('NoSleep disabled');
+}
+
+// Request wake lock to prevent screen from turning off
+async function requestWakeLock() {
+    console.log('Attempting to request wake lock...');
+    console.log('Browser:', navigator.userAgent);
+    console.log('Is iOS/iPadOS:', isIOS());
+    
+    // For iOS, use video-based NoSleep as the Wake Lock API is unreliable
+    if (isIOS()) {
+        console.log('iOS detected - using video-based NoSleep approach');
+        
+        // Try to enable NoSleep immediately
+        let noSleepSuccess = await enableNoSleep();
+        
+        // iOS requires user interaction for video autoplay
+        // Set up handlers to enable on first user touch/click if initial attempt failed
+        if (!noSleepSuccess) {
+            console.log('NoSleep requires user interaction - setting up event listeners');
+            
+            const enableOnInteraction = async (event) => {
+                console.log('User interaction detected, enabling NoSleep...');
+                const success = await enableNoSleep();
+                if (success) {
+                    document.removeEventListener('touchstart', enableOnInteraction, true);
+                    document.removeEventListener('touchend', enableOnInteraction, true);
+                    document.removeEventListener('click', enableOnInteraction, true);
+                    console.log('NoSleep enabled after user interaction');
+                }
+            };
+            
+            // Use capture phase and multiple event types for better iOS coverage
+            document.addEventListener('touchstart', enableOnInteraction, { capture: true, passive: true });
+            document.addEventListener('touchend', enableOnInteraction, { capture: true, passive: true });
+            document.addEventListener('click', enableOnInteraction, { capture: true });
+        }
+        
+        // Also try Wake Lock API as a secondary measure (may help on newer iOS)
+        if ('wakeLock' in navigator) {
+            try {
+                wakeLock = await navigator.wakeLock.request('screen');
+                console.log('Wake Lock API also active (as secondary)');
+            } catch (err) {
+                console.log('Wake Lock API unavailable on iOS:', err.message);
+            }
+        }
+        
+        return noSleepSuccess;
+    }
+    
+    // For non-iOS browsers, use the standard Wake Lock API
+    if (!('wakeLock' in navigator)) {
+        console.warn('Wake Lock API is not supported in this browser.');
+        // Try video-based NoSleep as fallback
+        return await enableNoSleep();
+    }
+    
+    console.log('Wake Lock API is supported, requesting screen wake lock...');
+    
+    try {
+        wakeLock = await navigator.wakeLock.request('screen');
+        console.log('Wake Lock is active');
+        updateWakeLockIndicator('active');
+        
+        wakeLock.addEventListener('release', () => {
+            console.log('Wake Lock was released (may happen when tab goes to background)');
+            updateWakeLockIndicator('inactive');
+        });
+        
+        console.log('Wake Lock state:', wakeLock.released ? 'released' : 'active');
+        
+        if (!wakeLockVisibilityListenerAdded) {
+            wakeLockVisibilityListenerAdded = true;
+            document.addEventListener('visibilitychange', handleVisibilityChangeForWakeLock);
+            console.log('Visibility change listener registered for wake lock reacquisition');
+        }
+        
+        return true;
+    } catch (err) {
+        console.error('Error requesting wake lock:', err.name, err.message);
+        // Fall back to audio-based approach
+        console.log('Falling back to audio-based NoSleep');
+        return await enableNoSleep();
+    }
+}
+
+// Separate handler for visibility changes (to avoid duplicate listeners)
+async function handleVisibilityChangeForWakeLock() {
+    console.log('Visibility changed:', document.visibilityState);
+    
+    if (document.visibilityState === 'visible') {
+        // Re-enable NoSleep on iOS
+        if (isIOS()) {
+            await enableNoSleep();
+        }
+        
+        // Check if wake lock needs reacquisition (null or released)
+        if (wakeLock === null || wakeLock.released) {
+            try {
+                console.log('Reacquiring wake lock after visibility change...');
+                wakeLock = await navigator.wakeLock.request('screen');
+                console.log('Wake Lock reacquired successfully');
                 
-                if (elapsedTime > 0) {
-                    // Show elapsed time as positive count-up
-                    timeRemainingElement.textContent = '+' + formatDuration(elapsedTime);
-                    
-                    if (!isNarrowScreen() || isLandscapeSmallScreen()) {
-                        // Only replace class in non-narrow screen mode
-                        timeRemainingElement.className = 'time-remaining red';
-                    } else {
-                        // In narrow screen mode, preserve existing classes and just add/remove color classes
-                        if (!timeRemainingElement.classList.contains('portrait-mode')) {
-                            timeRemainingElement.classList.add('portrait-mode');
-                        }
-                        if (!timeRemainingElement.classList.contains('narrow-screen')) {
-                            timeRemainingElement.classList.add('narrow-screen');
-                        }
-                        // Remove existing color classes and add red
-                        timeRemainingElement.classList.remove('green', 'yellow', 'blue');
-                        timeRemainingElement.classList.add('red');
-                    }
-                } else {
-                    // If somehow we're before the last section ends, show empty
-                    timeRemainingElement.textContent = '';
-                    
-                    if (!isNarrowScreen() || isLandscapeSmallScreen()) {
-                        // Only replace class in non-narrow screen mode
-                        timeRemainingElement.className = 'time-remaining';
-                    } else {
-                        // In narrow screen mode, preserve existing classes
-                        if (!timeRemainingElement.classList.contains('portrait-mode')) {
-                            timeRemainingElement.classList.add('portrait-mode');
-                        }
-                        if (!timeRemainingElement.classList.contains('narrow-screen')) {
-                            timeRemainingElement.classList.add('narrow-screen');
-                        }
-                        // Remove any color classes
-                        timeRemainingElement.classList.remove('red', 'green', 'yellow', 'blue');
-                    }
-                }
+                wakeLock.addEventListener('release', () => {
+                    console.log('Wake Lock was released (may happen when tab goes to background)');
+                });
+            } catch (err) {
+                console.error('Error reacquiring wake lock:', err.name, err.message);
+            }
+        } else {
+            console.log('Wake lock still active, no reacquisition needed');
+        }
+    }
+}
+
+// Release wake lock when not needed
+function releaseWakeLock() {
+    if (wakeLock !== null) {
+        wakeLock.release()
+            .then(() => {
+                wakeLock = null;
+                console.log('Wake Lock released');
+            });
+    }
+}
+
+// Audible cues
+// Chimes are synthesized with the same AudioContext used for the iOS NoSleep workaround
+const MUTE_STORAGE_KEY = 'presentationTimerMuted';
+// Defaults for the chimes config key (global, or per section)
+const DEFAULT_CHIME_SETTINGS = {
+    warn_at: [5, 1],        // Minutes remaining in a section
+    section_change: true,   // When a new section starts
+    zero: true,             // When a section's time runs out
+    overtime: true          // Every minute past the end of the presentation
+};
+// Notes for each cue: frequency in Hz, offset and length in seconds
+const CHIME_PATTERNS = {
+    warning: [
+        { frequency: 880, offset: 0, length: 0.15 },
+        { frequency: 880, offset: 0.25, length: 0.15 }
+    ],
+    change: [
+        { frequency: 660, offset: 0, length: 0.2 },
+        { frequency: 990, offset: 0.2, length: 0.4 }
+    ],
+    zero: [
+        { frequency: 523, offset: 0, length: 0.2 },
+        { frequency: 523, offset: 0.3, length: 0.2 },
+        { frequency: 523, offset: 0.6, length: 0.4 }
+    ],
+    overtime: [
+        { frequency: 330, offset: 0, length: 0.6 }
+    ]
+};
+// What the timer looked like at the last cue check, to detect crossings
+let lastCueCheck = null;
+
+/**
+ * Checks whether chimes are muted on this device
+ * @returns {boolean} - True if muted
+ */
+function isMuted() {
+    try {
+        return localStorage.getItem(MUTE_STORAGE_KEY) === 'true';
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Toggles chime muting and saves the preference
+ */
+function toggleMute() {
+    const muted = !isMuted();
+
+    try {
+        localStorage.setItem(MUTE_STORAGE_KEY, muted ? 'true' : 'false');
+    } catch (e) {
+        console.warn('Could not save mute preference to localStorage', e);
+    }
+
+    updateMuteToggleText();
+
+    // Unmuting is a user gesture, so it's a good moment to unlock audio and confirm it works
+    if (!muted) {
+        playChime('change');
+    }
+}
+
+/**
+ * Updates all mute buttons to match the mute preference
+ */
+function updateMuteToggleText() {
+    const muted = isMuted();
+    document.querySelectorAll('#mute-toggle').forEach(button => {
+        button.textContent = muted ? 'Unmute' : 'Mute';
+        button.classList.toggle('muted', muted);
+        button.setAttribute('aria-pressed', muted ? 'true' : 'false');
+    });
+}
+
+/**
+ * Plays a synthesized chime
+ * @param {string} type - Cue type: 'warning', 'change', 'zero' or 'overtime'
+ * @param {number} [delay] - Seconds to wait before playing
+ */
+function playChime(type, delay = 0) {
+    const pattern = CHIME_PATTERNS[type];
+    if (!pattern) return;
+
+    try {
+        const audioCtx = createNoSleepAudio();
+        if (!audioCtx) return;
+
+        if (audioCtx.state === 'suspended') {
+            audioCtx.resume().catch(err => console.log('Audio context could not resume:', err.message));
+        }
+
+        const startAt = audioCtx.currentTime + delay;
+        pattern.forEach(note => {
+            const oscillator = audioCtx.createOscillator();
+            const gain = audioCtx.createGain();
+            const noteStart = startAt + note.offset;
+            const noteEnd = noteStart + note.length;
+
+            oscillator.type = 'sine';
+            oscillator.frequency.value = note.frequency;
+
+            // Short attack and exponential decay for a bell-like sound without clicks
+            gain.gain.setValueAtTime(0.0001, noteStart);
+            gain.gain.exponentialRampToValueAtTime(0.4, noteStart + 0.02);
+            gain.gain.exponentialRampToValueAtTime(0.0001, noteEnd);
+
+            oscillator.connect(gain);
+            gain.connect(audioCtx.destination);
+            oscillator.start(noteStart);
+            oscillator.stop(noteEnd + 0.05);
+        });
+    } catch (error) {
+        console.error('Error playing chime:', error);
+    }
+}
+
+/**
+ * Gets the chime settings that apply to a section
+ * Section settings override the presentation's, which override the defaults
+ * @param {Object} [section] - Section to get settings for
+ * @returns {Object} - Chime settings
+ */
+function getChimeSettings(section = null) {
+    return Object.assign(
+        {},
+        DEFAULT_CHIME_SETTINGS,
+        presentationData && presentationData.chimes,
+        section && section.chimes
+    );
+}
+
+/**
+ * Plays any chimes whose thresholds were crossed since the last check
+ * Called once per display update; does nothing while paused
+ */
+function checkAudioCues() {
+    if (!presentationData || !presentationData.sections || presentationData.sections.length === 0) {
+        lastCueCheck = null;
+        return;
+    }
+    // The operator console plays the chimes, so a display window doesn't double them
+    if (isPaused() || isDisplayView()) {
+        return;
+    }
+
+    try {
+        const sections = presentationData.sections;
+        const now = new Date();
+        const currentSection = getCurrentSection(now);
+        const sectionIndex = currentSection ? currentSection.index : -1;
+        const remaining = currentSection ? currentSection.end - now.getTime() : null;
+
+        const presentationStartTime = parseTime(presentationData.start_time);
+        const lastSection = sections[sections.length - 1];
+        const presentationEnd = parseTime(lastSection.end, parseTime(lastSection.start, presentationStartTime));
+        const overtimeMinutes = now.getTime() >= presentationEnd.getTime() ?
+            Math.floor((now.getTime() - presentationEnd.getTime()) / 60000) : -1;
+
+        const previous = lastCueCheck;
+        lastCueCheck = {
+            time: now.getTime(),
+            sectionIndex: sectionIndex,
+            sectionEnd: currentSection ? currentSection.end : null,
+            remaining: remaining,
+            overtimeMinutes: overtimeMinutes
+        };
+
+        // Skip the first check and any long gap (e.g. the device was asleep)
+        if (!previous || isMuted() || now.getTime() - previous.time > 5000) {
+            return;
+        }
+
+        const cues = [];
+
+        // The previous section ran out
+        if (previous.sectionIndex !== -1 && previous.time < previous.sectionEnd && now.getTime() >= previous.sectionEnd) {
+            if (getChimeSettings(sections[previous.sectionIndex]).zero) {
+                cues.push('zero');
+            }
+        }
+
+        // A new section started
+        if (sectionIndex !== -1 && sectionIndex !== previous.sectionIndex) {
+            if (getChimeSettings(sections[sectionIndex]).section_change) {
+                cues.push('change');
+            }
+        }
+
+        // A warning threshold was crossed within the same section
+        if (sectionIndex !== -1 && sectionIndex === previous.sectionIndex) {
+            const crossed = getChimeSettings(sections[sectionIndex]).warn_at.some(minutes =>
+                previous.remaining > minutes * 60000 && remaining <= minutes * 60000
+            );
+            if (crossed) {
+                cues.push('warning');
+            }
+        }
+
+        // Another full minute past the end of the presentation
+        if (overtimeMinutes >= 1 && overtimeMinutes > previous.overtimeMinutes && getChimeSettings().overtime) {
+            cues.push('overtime');
+        }
+
+        cues.forEach((cue, index) => {
+            console.log('Playing chime:', cue);
+            playChime(cue, index * 1.2);
+        });
+    } catch (error) {
+        console.error('Error checking audio cues:', error);
+    }
+}
+
+// Full-screen visual alerts
+// An overlay across the whole viewport pulses when a warning threshold is crossed
+// and keeps flashing while the presentation runs over
+const VISUAL_ALERT_STYLES = ['border', 'background'];
+const ALERT_PULSE_LEVELS = ['yellow', 'red', 'flash'];
+const ALERT_PULSE_MS = 3000;
+// Alert level at the last update, to detect threshold crossings
+let lastAlertLevel = null;
+let alertPulseTimeout = null;
+
+/**
+ * Ranks an alert level by severity, so escalations can be told apart from + adding time
+ * @param {string|null} level - Warning level, 'overtime' or 'none'
+ * @returns {number} - Higher is more severe; -1 for levels that don't pulse
+ */
+function getAlertSeverity(level) {
+    return level === 'overtime' ? ALERT_PULSE_LEVELS.length : ALERT_PULSE_LEVELS.indexOf(level);
+}
+
+/**
+ * Updates the full-screen alert overlay for the current alert level
+ * Only escalations pulse, so importing or loading mid-section stays quiet
+ * @param {string} level - Warning level from getWarningLevel, 'overtime' or 'none'
+ */
+function updateAlertOverlay(level) {
+    const overlay = document.getElementById('alert-overlay');
+    if (!overlay) return;
+
+    const style = presentationData && presentationData.visual_alerts;
+    const previousLevel = lastAlertLevel;
+    lastAlertLevel = level;
+
+    VISUAL_ALERT_STYLES.forEach(name => overlay.classList.toggle(`alert-style-${name}`, style === name));
+
+    if (!style) {
+        clearAlertPulse(overlay);
+        overlay.classList.remove('overtime');
+        return;
+    }
+
+    overlay.classList.toggle('overtime', level === 'overtime');
+
+    if (previousLevel !== null && ALERT_PULSE_LEVELS.includes(level) && getAlertSeverity(level) > getAlertSeverity(previousLevel)) {
+        clearAlertPulse(overlay);
+        // Force a reflow so the animation restarts if the same class is added back
+        void overlay.offsetWidth;
+        overlay.classList.add(`pulse-${level}`);
+        alertPulseTimeout = setTimeout(() => clearAlertPulse(overlay), ALERT_PULSE_MS);
+    } else if (level !== previousLevel) {
+        clearAlertPulse(overlay);
+    }
+}
+
+/**
+ * Stops any threshold pulse on the alert overlay
+ * @param {HTMLElement} overlay - The alert overlay element
+ */
+function clearAlertPulse(overlay) {
+    if (alertPulseTimeout) {
+        clearTimeout(alertPulseTimeout);
+        alertPulseTimeout = null;
+    }
+    overlay.classList.remove(...ALERT_PULSE_LEVELS.map(level => `pulse-${level}`));
+}
+
+// Audience display window
+// The operator console broadcasts its schedule over a BroadcastChannel. Display windows
+// (the same page opened with ?view=display) show only the section name and countdown
+const DISPLAY_CHANNEL_NAME = 'presentationTimerSync';
+const DISPLAY_VIEW = 'display';
+let displayChannel = null;
+// Last state shared with display windows and remote devices, so unchanged state isn't resent every second
+let lastBroadcastState = null;
+
+/**
+ * Checks whether this window is an audience display window
+ * @returns {boolean} - True for a display window
+ */
+function isDisplayView() {
+    return new URLSearchParams(window.location.search).get('view') === DISPLAY_VIEW;
+}
+
+/**
+ * Opens (or focuses) the audience display window
+ */
+function openDisplayWindow() {
+    const url = new URL(window.location.href);
+    url.searchParams.set('view', DISPLAY_VIEW);
+
+    const displayWindow = window.open(url.toString(), 'presentationTimerDisplay');
+    if (!displayWindow) {
+        alert('The display window was blocked. Please allow pop-ups for this page and try again.');
+        return;
+    }
+    displayWindow.focus();
+}
+
+/**
+ * Gets the state shared with display windows and remote devices
+ * @returns {Object} - The schedule and pause state
+ */
+function getSyncState() {
+    return {
+        data: presentationData,
+        pause: pauseState ? {
+            pausedAt: pauseState.pausedAt.getTime(),
+            sectionIndex: pauseState.sectionIndex
+        } : null
+    };
+}
+
+/**
+ * Posts the current state to display windows
+ */
+function postStateToDisplays() {
+    if (!displayChannel || isDisplayView() || !presentationData) return;
+
+    try {
+        displayChannel.postMessage({ type: 'state', state: getSyncState() });
+    } catch (error) {
+        console.error('Error posting timer state to display windows:', error);
+    }
+}
+
+/**
+ * Shares the schedule and pause state with display windows and remote devices
+ * Called after every display update; only sends when something changed, which
+ * covers every edit (start time, +/-, duration edits, next/previous, pause, import)
+ */
+function broadcastState() {
+    if (isDisplayView() || !presentationData) return;
+
+    try {
+        const state = getSyncState();
+        const serialized = JSON.stringify(state);
+        if (serialized === lastBroadcastState) return;
+        lastBroadcastState = serialized;
+
+        postStateToDisplays();
+        sendRemoteUpdate(state);
+    } catch (error) {
+        console.error('Error broadcasting timer state:', error);
+    }
+}
+
+/**
+ * Replaces this window's schedule with one from another window or device
+ * @param {Object} state - State from getSyncState
+ */
+function applySyncedState(state) {
+    if (!state || !state.data || !Array.isArray(state.data.sections)) return;
+
+    setScheduleState(state);
+    // Not a local edit, so it isn't written back over the saved configuration or library entry
+    lastSavedSchedule = null;
+
+    // Already shared, so the next display update shouldn't send it back
+    lastBroadcastState = JSON.stringify(getSyncState());
+    postStateToDisplays();
+
+    updateDisplay();
+}
+
+/**
+ * Replaces the schedule and pause state and updates the controls that show them
+ * @param {Object} state - State from getSyncState
+ */
+function setScheduleState(state) {
+    presentationData = state.data;
+    pauseState = state.pause ? {
+        pausedAt: new Date(state.pause.pausedAt),
+        sectionIndex: state.pause.sectionIndex
+    } : null;
+
+    const titleElement = document.getElementById('title');
+    if (titleElement) {
+        titleElement.textContent = presentationData.title;
+    }
+    updateStartTimeInputs();
+    updatePauseButtonState();
+}
+
+/**
+ * Sends a keyboard command from a display window to the operator console
+ * @param {string} commandId - Id of the command in KEYBOARD_COMMANDS
+ */
+function sendDisplayCommand(commandId) {
+    if (!displayChannel) {
+        console.log('No operator console to send the command to');
+        return;
+    }
+    displayChannel.postMessage({ type: 'command', command: commandId });
+}
+
+/**
+ * Handles messages between the operator console and display windows
+ * @param {MessageEvent} event - BroadcastChannel message
+ */
+function handleSyncMessage(event) {
+    const message = event.data;
+    if (!message || typeof message !== 'object') return;
+
+    try {
+        if (isDisplayView()) {
+            if (message.type === 'state') {
+                applySyncedState(message.state);
+            }
+        } else if (message.type === 'request-state') {
+            postStateToDisplays();
+        } else if (message.type === 'command') {
+            // A clicker or keyboard attached to the display window
+            const command = KEYBOARD_COMMANDS.find(candidate => candidate.id === message.command);
+            if (command) {
+                console.log('Command from display window:', command.id);
+                command.action();
             }
         }
+    } catch (error) {
+        console.error('Error handling sync message:', error);
+    }
+}
+
+/**
+ * Connects this window to the sync channel
+ * Display windows ask the operator console for its current state
+ */
+function setupDisplaySync() {
+    if (typeof BroadcastChannel === 'undefined') {
+        console.log('BroadcastChannel is not supported; display windows will not stay in sync');
+        return;
+    }
 
-        updateTimelineDisplay();
-        updateNextSectionDisplay();
-    } catch (error) {
-        console.error('Error updating display:', error);
-        throw error;
+    displayChannel = new BroadcastChannel(DISPLAY_CHANNEL_NAME);
+    displayChannel.addEventListener('message', handleSyncMessage);
+
+    if (isDisplayView()) {
+        displayChannel.postMessage({ type: 'request-state' });
+    } else {
+        postStateToDisplays();
     }
 }
 
+// Remote control
+// Devices on the local network share one schedule through a WebSocket relay (see sync-server.js).
+// Every device is a full timer: edits are made locally and published as a new revision of the
+// whole state. The relay rejects an edit made on top of another device's newer revision, and the
+// device then adopts the relay's state.
+const REMOTE_SYNC_STORAGE_KEY = 'presentationTimerSyncUrl';
+const REMOTE_RECONNECT_MS = 3000;
+// Identifies this device's updates in the relay's messages
+const REMOTE_ORIGIN = Math.random().toString(36).slice(2, 10);
+let remoteSocket = null;
+let remoteSyncUrl = null;
+let remoteRevision = 0;
+let remoteReconnectTimeout = null;
+let remoteStatus = 'off';
+let remoteConflictTimeout = null;
+const REMOTE_CONFLICT_NOTICE_MS = 5000;
+
 /**
- * Update just the next section display
+ * Gets the relay address for this device
+ * A ?sync= address in the page URL is saved for next time
+ * @returns {string|null} - WebSocket URL, or null if remote control is off
  */
-function updateNextSectionDisplay() {
+function getRemoteSyncUrl() {
+    const urlParam = new URLSearchParams(window.location.search).get('sync');
+
     try {
-        if (!presentationData) return;
-        
-        const currentTime = new Date();
-        const nextSectionElement = document.getElementById('next-section');
-        if (!nextSectionElement) return;
-        
-        const currentSection = getCurrentSection(currentTime);
-        const currentSectionName = currentSection ? currentSection.name : null;
-        const currentSectionIndex = currentSection ? 
-            presentationData.sections.findIndex(s => s.name === currentSectionName) : -1;
-        
-        let nextSection = null;
-        
-        if (currentSectionIndex !== -1 && currentSectionIndex < presentationData.sections.length - 1) {
-            // Get the next section after current one
-            nextSection = presentationData.sections[currentSectionIndex + 1];
-        } else if (currentSectionIndex === -1 && presentationData.sections.length > 0) {
-            // If no current section or before presentation starts, show first section
-            nextSection = presentationData.sections[0];
-        }
-        
-        if (nextSection) {
-            nextSectionElement.textContent = `${nextSection.name} (${nextSection.duration}m)`;
-        } else {
-            nextSectionElement.textContent = "End of presentation";
+        if (urlParam !== null) {
+            if (urlParam) {
+                localStorage.setItem(REMOTE_SYNC_STORAGE_KEY, urlParam);
+            } else {
+                localStorage.removeItem(REMOTE_SYNC_STORAGE_KEY);
+            }
+            return urlParam || null;
         }
-    } catch (error) {
-        console.error('Error updating next section display:', error);
+        return localStorage.getItem(REMOTE_SYNC_STORAGE_KEY);
+    } catch (e) {
+        return urlParam || null;
     }
 }
 
 /**
- * Gets the current section based on the given time
- * @param {Date} time - Current time
- * @returns {Object|null} - Current section object with index or null if not found
+ * Connects to a relay, replacing any existing connection
+ * @param {string|null} url - WebSocket URL, or null to disconnect
  */
-function getCurrentSection(time) {
+function connectRemoteSync(url) {
+    disconnectRemoteSync();
+    remoteSyncUrl = url;
+    if (!url) {
+        updateRemoteStatus('off');
+        return;
+    }
+    if (typeof WebSocket === 'undefined') {
+        console.log('WebSocket is not supported; remote control is unavailable');
+        return;
+    }
+
     try {
-        if (!presentationData || !presentationData.sections) {
-            console.error('No presentation data or sections available');
-            return null;
-        }
+        const socket = new WebSocket(url);
+        remoteSocket = socket;
+        updateRemoteStatus('connecting');
 
-        const currentTime = time.getTime();
-        let currentSection = null;
-        
-        presentationData.sections.some((section, index) => {
-            try {
-                // Use the presentation start time as reference for day rollover detection
-                const presentationStartTime = parseTime(presentationData.start_time);
-                const startTime = parseTime(section.start, presentationStartTime);
-                const endTime = parseTime(section.end, startTime);
-                const sectionStart = startTime.getTime();
-                const sectionEnd = endTime.getTime();
-                
-                if (currentTime >= sectionStart && currentTime < sectionEnd) {
-                    currentSection = {
-                        name: section.name,
-                        start: sectionStart,
-                        end: sectionEnd,
-                        index: index  // Include the section index
-                    };
-                    return true; // Stop searching when we find the current section
-                }
-            } catch (error) {
-                console.error('Error processing section:', error);
-            }
-            return false;
+        socket.addEventListener('open', () => {
+            console.log('Connected to remote control relay at', url);
+            socket.send(JSON.stringify({ type: 'hello', origin: REMOTE_ORIGIN }));
+        });
+        socket.addEventListener('message', handleRemoteMessage);
+        socket.addEventListener('close', () => {
+            if (remoteSocket !== socket) return;
+            remoteSocket = null;
+            updateRemoteStatus('connecting');
+            // Keep trying while the relay is configured, e.g. after the laptop sleeps
+            remoteReconnectTimeout = setTimeout(() => connectRemoteSync(remoteSyncUrl), REMOTE_RECONNECT_MS);
         });
-        
-        return currentSection;
     } catch (error) {
-        console.error('Error getting current section:', error);
-        throw error;
+        console.error('Error connecting to remote control relay:', error);
+        updateRemoteStatus('error');
     }
 }
 
 /**
- * Adjusts either start time (before presentation) or current section's duration (during presentation)
- * @param {number} minutes - Number of minutes to adjust (+/-)
+ * Closes the relay connection and stops reconnecting
+ */
+function disconnectRemoteSync() {
+    if (remoteReconnectTimeout) {
+        clearTimeout(remoteReconnectTimeout);
+        remoteReconnectTimeout = null;
+    }
+    if (remoteSocket) {
+        const socket = remoteSocket;
+        remoteSocket = null;
+        socket.close();
+    }
+}
+
+/**
+ * Publishes a local change to the relay
+ * @param {Object} state - State from getSyncState
+ */
+function sendRemoteUpdate(state) {
+    if (!remoteSocket || remoteSocket.readyState !== WebSocket.OPEN || remoteStatus !== 'connected') return;
+
+    remoteSocket.send(JSON.stringify({
+        type: 'update',
+        origin: REMOTE_ORIGIN,
+        baseRevision: remoteRevision,
+        state: state
+    }));
+}
+
+/**
+ * Handles a message from the relay
+ * @param {MessageEvent} event - WebSocket message
  */
-function adjustTimes(minutes) {
+function handleRemoteMessage(event) {
     try {
-        if (!presentationData || !presentationData.sections) {
-            console.error('No presentation data available');
-            return;
-        }
+        const message = JSON.parse(event.data);
 
-        const currentTime = new Date();
-        const presentationStartTime = parseTime(presentationData.start_time);
-        const currentTimeMs = currentTime.getTime();
-        const startTimeMs = presentationStartTime.getTime();
+        if (message.type === 'state') {
+            const joining = remoteStatus !== 'connected';
+            remoteRevision = message.revision;
+            updateRemoteStatus('connected');
 
-        // Check if presentation hasn't started yet
-        if (currentTimeMs < startTimeMs) {
-            // Before presentation starts - adjust the start time
-            console.log(`Adjusting start time by ${minutes} minutes`);
-            
-            const newStartTime = new Date(presentationStartTime.getTime() + (minutes * 60 * 1000));
-            const newStartTimeString = formatTime(newStartTime);
-            
-            // Update the start time input and recalculate all section times
-            const startTimeInput = document.getElementById('start-time-input');
-            if (startTimeInput) {
-                startTimeInput.value = newStartTimeString;
+            if (!message.state) {
+                // First device on the relay: share this schedule
+                if (presentationData) {
+                    sendRemoteUpdate(getSyncState());
+                }
+            } else if (joining || message.origin !== REMOTE_ORIGIN) {
+                applySyncedState(message.state);
+            }
+        } else if (message.type === 'conflict') {
+            console.warn('Another device changed the schedule first; this change was discarded');
+            remoteRevision = message.revision;
+            updateRemoteStatus('conflict');
+            if (message.state) {
+                applySyncedState(message.state);
             }
-            
-            recalculateTimesFromStart(newStartTimeString);
-            updateDisplay();
-            
-            console.log(`Start time adjusted to: ${newStartTimeString}`);
-            return;
-        }
-
-        // After this point, handle current section adjustment (existing logic)
-        const currentSection = getCurrentSection(currentTime);
-        
-        // If no current section (after presentation ends), don't adjust
-        if (!currentSection) {
-            console.log('No current section to adjust (presentation may be complete)');
-            return;
-        }
-        
-        // Find the current section in our data array
-        const sectionIndex = presentationData.sections.findIndex(section => 
-            section.name === currentSection.name
-        );
-        
-        if (sectionIndex === -1) {
-            console.error('Could not find current section in data');
-            return;
-        }
-        
-        const section = presentationData.sections[sectionIndex];
-        const newDuration = section.duration + minutes;
-        
-        // Don't allow duration to go below 1 minute
-        if (newDuration < 1) {
-            console.log('Cannot reduce section duration below 1 minute');
-            return;
         }
-        
-        console.log(`Adjusting ${section.name} duration from ${section.duration} to ${newDuration} minutes`);
-        
-        // Update the section duration using our existing function
-        updateSectionDuration(sectionIndex, newDuration);
-        
     } catch (error) {
-        console.error('Error adjusting times:', error);
+        console.error('Error handling remote control message:', error);
     }
 }
 
 /**
- * Scrolls to the current section in the timeline
- * @param {number} currentSectionIndex - Index of the current section, or -1 if no section is active
+ * Updates all remote control buttons to show the connection status
+ * @param {string} status - 'off', 'connecting', 'connected', 'conflict' or 'error'
  */
-function scrollToCurrentSection(currentSectionIndex) {
-    try {
-        if (currentSectionIndex === -1) {
-            return;
-        }
-        
-        // Get the scrollable timeline container
-        const timelineContainer = document.querySelector('.timeline-container');
-        if (!timelineContainer) {
-            console.error('Timeline container not found');
-            return;
-        }
-        
-        // Find the current section element
-        const currentSectionElement = document.getElementById(`section-${currentSectionIndex}`);
-        if (!currentSectionElement) {
-            console.error('Current section element not found for index:', currentSectionIndex);
-            return;
-        }
-        
-        // Use scrollIntoView to center the element in the visible area
-        currentSectionElement.scrollIntoView({
-            behavior: 'smooth',
-            block: 'center',
-            inline: 'nearest'
-        });
-        
-    } catch (error) {
-        console.error('Error scrolling to current section:', error);
+function updateRemoteStatus(status) {
+    // A conflict is shown briefly, then the connection carries on as normal
+    remoteStatus = status === 'conflict' ? 'connected' : status;
+    if (remoteConflictTimeout) {
+        clearTimeout(remoteConflictTimeout);
+        remoteConflictTimeout = null;
     }
+    if (status === 'conflict') {
+        remoteConflictTimeout = setTimeout(() => updateRemoteStatus(remoteStatus), REMOTE_CONFLICT_NOTICE_MS);
+    }
+
+    const titles = {
+        off: 'Control this timer from other devices',
+        connecting: `Connecting to ${remoteSyncUrl}…`,
+        connected: `Synced with ${remoteSyncUrl}`,
+        conflict: 'Another device changed the schedule at the same time; showing its version',
+        error: `Could not connect to ${remoteSyncUrl}`
+    };
+
+    document.querySelectorAll('#remote-sync-button').forEach(button => {
+        button.classList.remove('connecting', 'connected', 'conflict', 'error');
+        if (status !== 'off') {
+            button.classList.add(status);
+        }
+        button.title = titles[status];
+    });
 }
 
 /**
- * Validates and processes imported YAML data
- * @param {Object} data - Parsed YAML data
- * @returns {Object} - Validated and processed data
+ * Asks for the relay address and connects to it
+ * Leaving the address blank turns remote control off
  */
-function validateAndProcessYAML(data) {
+function configureRemoteSync() {
+    const url = prompt('Remote control relay address (e.g. ws://192.168.1.20:8080). Leave blank to turn off.', remoteSyncUrl || '');
+    if (url === null) return;
+
+    const trimmed = url.trim();
+    if (trimmed && !/^wss?:\/\//i.test(trimmed)) {
+        alert('The relay address must start with ws:// or wss://');
+        return;
+    }
+
     try {
-        console.log('Validating imported YAML data:', data);
-        
-        // Handle null/undefined data
-        if (!data || typeof data !== 'object') {
-            data = {};
-        }
-        
-        // Initialize result with defaults
-        const result = {
-            title: data.title || "Presentation Timer",
-            start_time: data.start_time || formatTime(new Date()),
-            sections: []
-        };
-        
-        // Validate sections array exists and has at least one section
-        if (!data.sections || !Array.isArray(data.sections) || data.sections.length === 0) {
-            throw new Error('YAML file must contain at least one section in the "sections" array');
+        if (trimmed) {
+            localStorage.setItem(REMOTE_SYNC_STORAGE_KEY, trimmed);
+        } else {
+            localStorage.removeItem(REMOTE_SYNC_STORAGE_KEY);
         }
-        
-        // Validate each section
-        data.sections.forEach((section, index) => {
-            if (!section || typeof section !== 'object') {
-                throw new Error(`Section ${index + 1} must be a valid object`);
-            }
-            
-            if (!section.name || typeof section.name !== 'string' || section.name.trim() === '') {
-                throw new Error(`Section ${index + 1} must have a non-empty "name" field`);
-            }
-            
-            // Make sure duration is a number
-            let duration = section.duration;
-            if (typeof duration === 'string') {
-                duration = parseFloat(duration);
-            }
-            
-            if (isNaN(duration) || duration <= 0) {
-                throw new Error(`Section "${section.name}" must have a positive "duration" field (in minutes)`);
-            }
-            
-            result.sections.push({
-                name: section.name.trim(),
-                duration: duration
-            });
-        });
-        
-        console.log('YAML validation successful:', result);
-        return result;
-        
-    } catch (error) {
-        console.error('YAML validation failed:', error);
-        throw error;
+    } catch (e) {
+        console.warn('Could not save relay address to localStorage', e);
     }
+
+    connectRemoteSync(trimmed || null);
 }
 
 /**
- * Saves the YAML text to localStorage
- * @param {string} yamlText - The YAML text to save
+ * Connects to the configured relay, if any
+ * Display windows get their state from the operator console instead
  */
-function saveYAMLToStorage(yamlText) {
-    try {
-        localStorage.setItem(STORAGE_KEY, yamlText);
-        console.log('Successfully saved YAML to localStorage');
-        return true;
-    } catch (error) {
-        console.warn('Failed to save YAML to localStorage:', error);
-        return false;
-    }
+function setupRemoteSync() {
+    if (isDisplayView()) return;
+    connectRemoteSync(getRemoteSyncUrl());
 }
 
+// Undo/redo history
+// Each schedule edit records a snapshot of the schedule before it. Pausing and resuming
+// aren't recorded; they already have their own button to reverse them, so undo and redo
+// leave the pause and the time it added to its section as they are
+const HISTORY_LIMIT = 50;
+// Edits of the same kind this close together (e.g. typing a start time) are one step
+const HISTORY_COALESCE_MS = 2000;
+const TOAST_DURATION_MS = 2500;
+const scheduleHistory = { undo: [], redo: [] };
+let toastTimeout = null;
+
 /**
- * Loads YAML text from localStorage
- * @returns {string|null} The saved YAML text or null if not found
+ * Captures the schedule and saved configuration
+ * @param {string} label - Description of the edit this snapshot comes before
+ * @param {string} [coalesceKey] - Edits with the same key in quick succession share one step
+ * @returns {Object} - Snapshot
  */
-function loadYAMLFromStorage() {
-    try {
-        return localStorage.getItem(STORAGE_KEY);
-    } catch (error) {
-        console.warn('Failed to load YAML from localStorage:', error);
-        return null;
-    }
+function captureScheduleSnapshot(label, coalesceKey = null) {
+    return {
+        label: label,
+        coalesceKey: coalesceKey,
+        time: Date.now(),
+        data: JSON.stringify(presentationData),
+        yaml: loadYAMLFromStorage(),
+        libraryId: getActiveLibraryId()
+    };
 }
 
 /**
- * Checks if settings have been loaded (YAML exists in localStorage)
- * @returns {boolean} - True if settings are loaded
+ * Records the current schedule before an edit so it can be undone
+ * @param {string} label - Description of the edit, shown when it's undone
+ * @param {string} [coalesceKey] - Edits with the same key in quick succession share one step
  */
-function hasSettingsLoaded() {
+function recordScheduleChange(label, coalesceKey = null) {
+    if (!presentationData || isDisplayView()) return;
+
     try {
-        return localStorage.getItem(STORAGE_KEY) !== null;
+        const last = scheduleHistory.undo[scheduleHistory.undo.length - 1];
+        if (coalesceKey && last && last.coalesceKey === coalesceKey && Date.now() - last.time < HISTORY_COALESCE_MS) {
+            last.time = Date.now();
+            return;
+        }
+
+        scheduleHistory.undo.push(captureScheduleSnapshot(label, coalesceKey));
+        if (scheduleHistory.undo.length > HISTORY_LIMIT) {
+            scheduleHistory.undo.shift();
+        }
+        scheduleHistory.redo = [];
+        updateHistoryButtons();
     } catch (error) {
-        console.warn('Failed to check localStorage:', error);
-        return false;
+        console.error('Error recording schedule change:', error);
     }
 }
 
 /**
- * Clears the saved YAML from localStorage
+ * Restores a snapshot, including the saved configuration if it differs
+ * @param {Object} snapshot - Snapshot from captureScheduleSnapshot
  */
-function clearYAMLFromStorage() {
-    try {
-        localStorage.removeItem(STORAGE_KEY);
-        console.log('Successfully cleared YAML from localStorage');
-    } catch (error) {
-        console.warn('Failed to clear YAML from localStorage:', error);
+function restoreScheduleSnapshot(snapshot) {
+    if (snapshot.yaml !== loadYAMLFromStorage()) {
+        if (snapshot.yaml === null) {
+            clearYAMLFromStorage();
+        } else {
+            saveYAMLToStorage(snapshot.yaml);
+        }
+    }
+    // Undoing a load or import goes back to the presentation that was loaded before
+    const samePresentation = snapshot.libraryId === getActiveLibraryId();
+    setActiveLibraryId(snapshot.libraryId);
+    updateLibraryButtonState();
+
+    const data = JSON.parse(snapshot.data);
+    if (samePresentation) {
+        const pause = keepPauseAcrossRestore(data);
+        setScheduleState({ data: data, pause: pause });
+        recalculateTimesFromStart(presentationData.start_time);
+    } else {
+        // A pause belongs to the presentation it was taken in
+        setScheduleState({ data: data, pause: null });
     }
+    updateDisplay();
 }
 
 /**
- * Updates the import/reset button text and state based on whether settings are loaded
+ * Carries the pause and the holds it added over to a restored schedule
+ * Sections are matched by name in order, or by position when a rename left the count unchanged
+ * @param {Object} data - Schedule from a snapshot; its sections' holds are updated
+ * @returns {Object|null} - Pause state for the restored schedule, as in getSyncState
  */
-function updateImportButtonState() {
-    const buttons = document.querySelectorAll('#import-button');
-    const hasSettings = hasSettingsLoaded();
-    
-    buttons.forEach(button => {
-        if (hasSettings) {
-            button.textContent = 'Reset Settings';
-            button.classList.add('reset-mode');
+function keepPauseAcrossRestore(data) {
+    const current = presentationData.sections;
+    const restored = data.sections;
+    const taken = new Set();
+    const matches = current.map((section, index) => {
+        let match = restored[index] && restored[index].name === section.name && !taken.has(index) ? index :
+            restored.findIndex((candidate, candidateIndex) => !taken.has(candidateIndex) && candidate.name === section.name);
+        if (match === -1 && restored.length === current.length && !taken.has(index)) {
+            match = index;
+        }
+        if (match !== -1) taken.add(match);
+        return match;
+    });
+
+    current.forEach((section, index) => {
+        const match = matches[index];
+        if (match === -1) return;
+        if (section.hold) {
+            restored[match].hold = section.hold;
         } else {
-            button.textContent = 'Import Settings';
-            button.classList.remove('reset-mode');
+            delete restored[match].hold;
         }
     });
+
+    if (!pauseState) return null;
+    let sectionIndex = pauseState.sectionIndex;
+    if (sectionIndex !== -1) {
+        sectionIndex = matches[sectionIndex] !== -1 ? matches[sectionIndex] : Math.min(sectionIndex, restored.length - 1);
+    }
+    return { pausedAt: pauseState.pausedAt.getTime(), sectionIndex: sectionIndex };
 }
 
 /**
- * Resets settings to initial state by clearing YAML and reloading default data
+ * Moves one step through the history
+ * @param {Array} from - Stack to take the snapshot from
+ * @param {Array} to - Stack to save the current state on
+ * @param {string} verb - 'Undid' or 'Redid', for the toast
  */
-async function resetSettings() {
+function stepScheduleHistory(from, to, verb) {
+    if (!presentationData) return;
+
     try {
-        // Clear the saved YAML
-        clearYAMLFromStorage();
-        
-        // Reset presentation data to empty state
-        presentationData = {
-            title: 'Presentation Timer',
-            start_time: formatTime(new Date()),
-            sections: []
-        };
-        
-        // Update the title
-        const titleElement = document.getElementById('title');
-        if (titleElement) {
-            titleElement.textContent = presentationData.title;
+        const current = captureScheduleSnapshot('');
+        let snapshot = from.pop();
+
+        // Skip edits that didn't change anything, e.g. Next after the last section
+        while (snapshot && snapshot.data === current.data && snapshot.yaml === current.yaml &&
+               snapshot.libraryId === current.libraryId) {
+            snapshot = from.pop();
         }
-        
-        // Update the start time input
-        const startTimeInputs = document.querySelectorAll('#start-time-input');
-        startTimeInputs.forEach(input => {
-            input.value = presentationData.start_time;
-        });
-        
-        // Update the button state
-        updateImportButtonState();
-        
-        // Update display
-        updateDisplay();
-        
-        console.log('Settings reset successfully');
+        if (!snapshot) {
+            showToast(verb === 'Undid' ? 'Nothing to undo' : 'Nothing to redo');
+            updateHistoryButtons();
+            return;
+        }
+
+        current.label = snapshot.label;
+        to.push(current);
+        restoreScheduleSnapshot(snapshot);
+        updateHistoryButtons();
+
+        console.log(`${verb}: ${snapshot.label}`);
+        showToast(`${verb}: ${snapshot.label}`);
     } catch (error) {
-        console.error('Error resetting settings:', error);
-        alert('Error resetting settings: ' + error.message);
+        console.error('Error stepping through schedule history:', error);
     }
 }
 
 /**
- * Handles file import and processing
- * @param {File} file - Selected YAML file
+ * Undoes the last schedule edit
  */
-function importYAMLFile(file) {
-    const reader = new FileReader();
-    
-    reader.onload = async function(e) {
-        try {
-            const yamlText = e.target.result;
-            // Parse the YAML data
-            const newData = parseYAMLData(yamlText);
-            
-            // Save the YAML text to localStorage before updating the UI
-            saveYAMLToStorage(yamlText);
-            
-            // Update the presentation data
-            presentationData = newData;
-            
-            // Update the title if it exists
-            const titleElement = document.getElementById('title');
-            if (titleElement && presentationData.title) {
-                titleElement.textContent = presentationData.title;
-            }
-            
-            // Update the start time input if it exists
-            const startTimeInput = document.getElementById('start-time-input');
-            if (startTimeInput && presentationData.start_time) {
-                startTimeInput.value = presentationData.start_time;
-            }
-            
-            // Recalculate times and update display
-            recalculateTimesFromStart(presentationData.start_time);
-            updateDisplay();
-            
-            // Update the button state to show "Reset Settings"
-            updateImportButtonState();
-            
-            console.log('Successfully imported YAML file:', file.name);
-        } catch (error) {
-            console.error('Error importing YAML file:', error);
-            alert(`Error importing YAML file: ${error.message}`);
-        }
-    };
-    
-    reader.readAsText(file);
+function undoScheduleChange() {
+    stepScheduleHistory(scheduleHistory.undo, scheduleHistory.redo, 'Undid');
 }
 
-// Function to setup event listeners
-function setupEventListeners() {
-    // Set up time adjustment buttons
-    const plusButton = document.getElementById('time-plus');
-    const minusButton = document.getElementById('time-minus');
-    const nowButton = document.getElementById('now-button');
-    const importButton = document.getElementById('import-button');
-    const fileInput = document.getElementById('yaml-file-input');
-    const startTimeInput = document.getElementById('start-time-input');
+/**
+ * Redoes the last undone schedule edit
+ */
+function redoScheduleChange() {
+    stepScheduleHistory(scheduleHistory.redo, scheduleHistory.undo, 'Redid');
+}
 
-    // Plus/minus buttons for time adjustment
-    if (plusButton) {
-        plusButton.addEventListener('click', () => adjustTimes(1));
-    }
-    if (minusButton) {
-        minusButton.addEventListener('click', () => adjustTimes(-1));
-    }
-    
-    // Now button to set current time
-    if (nowButton) {
-        nowButton.addEventListener('click', function() {
-            const currentTime = new Date();
-            const currentTimeString = formatTime(currentTime);
-            
-            // Update the input field
-            if (startTimeInput) {
-                startTimeInput.value = currentTimeString;
-            }
-            
-            // Recalculate all section times
-            recalculateTimesFromStart(currentTimeString);
-            updateDisplay();
-        });
-    }
-    
-    // Setup import/reset button
-    if (importButton) {
-        importButton.addEventListener('click', () => {
-            if (hasSettingsLoaded()) {
-                // Settings are loaded, so reset them
-                resetSettings();
-            } else {
-                // No settings, trigger file import
-                if (fileInput) {
-                    fileInput.click();
-                }
-            }
-        });
-        
-        // Set initial button state
-        updateImportButtonState();
-    }
-    
-    // Setup file input change handler
-    if (fileInput) {
-        fileInput.addEventListener('change', function(event) {
-            const selectedFile = event.target.files[0];
-            if (selectedFile) {
-                importYAMLFile(selectedFile);
-                // Clear the input so the same file can be selected again
-                event.target.value = '';
-            }
-        });
-    }
+/**
+ * Enables the undo/redo buttons when there is something to undo or redo
+ */
+function updateHistoryButtons() {
+    document.querySelectorAll('#undo-button').forEach(button => {
+        button.disabled = scheduleHistory.undo.length === 0;
+        button.title = button.disabled ? 'Nothing to undo' : `Undo ${scheduleHistory.undo[scheduleHistory.undo.length - 1].label}`;
+    });
+    document.querySelectorAll('#redo-button').forEach(button => {
+        button.disabled = scheduleHistory.redo.length === 0;
+        button.title = button.disabled ? 'Nothing to redo' : `Redo ${scheduleHistory.redo[scheduleHistory.redo.length - 1].label}`;
+    });
 }
 
-// Track if visibility listener is registered (to avoid duplicates)
-let wakeLockVisibilityListenerAdded = false;
-// NoSleep state
-let noSleepEnabled = false;
+/**
+ * Shows a brief message at the bottom of the screen
+ * @param {string} message - Message to show
+ */
+function showToast(message) {
+    const toast = document.getElementById('toast');
+    if (!toast) return;
 
-// Update the wake lock indicator UI
-function updateWakeLockIndicator(status) {
-    const indicator = document.getElementById('wake-lock-indicator');
-    if (!indicator) return;
-    
-    indicator.classList.remove('active', 'pending');
-    
-    switch (status) {
-        case 'active':
-            indicator.classList.add('active');
-            indicator.title = 'Screen wake lock active';
-            break;
-        case 'pending':
-            indicator.classList.add('pending');
-            indicator.title = 'Tap HERE to enable wake lock';
-            break;
-        default:
-            indicator.title = 'Screen wake lock inactive';
+    toast.textContent = message;
+    toast.classList.add('visible');
+
+    if (toastTimeout) {
+        clearTimeout(toastTimeout);
     }
+    toastTimeout = setTimeout(() => {
+        toast.classList.remove('visible');
+        toastTimeout = null;
+    }, TOAST_DURATION_MS);
 }
 
-// Detect iOS/iPadOS (iPads report as MacIntel but have touch)
-function isIOS() {
-    return /iPad|iPhone|iPod/.test(navigator.userAgent) || 
-           (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
-}
+// Keyboard shortcuts
+// Presentation clickers send PageUp/PageDown for back/forward and B (or .) to blank the screen
+const SHORTCUTS_STORAGE_KEY = 'presentationTimerShortcuts';
+const SHORTCUT_HELP_KEY = '?';
+const KEYBOARD_COMMANDS = [
+    { id: 'time-plus', label: 'Add time', keys: ['+', '=', 'ArrowUp'], repeat: true, action: () => adjustTimes(1) },
+    { id: 'time-minus', label: 'Remove time', keys: ['-', 'ArrowDown'], repeat: true, action: () => adjustTimes(-1) },
+    { id: 'next-section', label: 'Next section', keys: ['PageDown', 'ArrowRight', 'n'], action: () => advanceToNextSection() },
+    { id: 'previous-section', label: 'Previous section', keys: ['PageUp', 'ArrowLeft', 'p'], action: () => returnToPreviousSection() },
+    { id: 'pause', label: 'Pause / resume', keys: ['b', '.'], action: () => togglePause() },
+    { id: 'now', label: 'Start now', keys: ['s'], action: () => startPresentationNow() },
+    { id: 'undo', label: 'Undo', keys: ['u'], action: () => undoScheduleChange() },
+    { id: 'redo', label: 'Redo', keys: ['r'], action: () => redoScheduleChange() },
+    // Local commands run in the window where the key was pressed, even a display window
+    { id: 'theme', label: 'Toggle theme', keys: ['t'], local: true, action: () => toggleTheme() },
+    { id: 'fullscreen', label: 'Toggle fullscreen', keys: ['f'], local: true, action: () => toggleFullscreen() },
+    { id: 'mute', label: 'Mute / unmute chimes', keys: ['m'], local: true, action: () => toggleMute() },
+    { id: 'display-mode', label: 'Switch display mode', keys: ['d'], local: true, action: () => cycleDisplayMode() }
+];
+// Command waiting for a key press in the shortcuts overlay
+let shortcutCaptureCommand = null;
 
-// NoSleep implementation using multiple strategies
-let noSleepAudioContext = null;
-let noSleepOscillator = null;
-let noSleepGain = null;
+/**
+ * Converts a KeyboardEvent key into the form used in bindings
+ * Letters are case-insensitive so Shift and Caps Lock don't matter
+ * @param {string} key - KeyboardEvent.key value
+ * @returns {string} - Normalized key
+ */
+function normalizeShortcutKey(key) {
+    if (key === ' ' || key === 'Spacebar') return 'Space';
+    return key.length === 1 ? key.toLowerCase() : key;
+}
 
-// Create and setup the NoSleep using Web Audio API (more reliable on iOS)
-function createNoSleepAudio() {
-    if (noSleepAudioContext) return noSleepAudioContext;
-    
-    try {
-        // Create audio context
-        const AudioContext = window.AudioContext || window.webkitAudioContext;
-        noSleepAudioContext = new AudioContext();
-        
-        // Create a silent oscillator
-        noSleepOscillator = noSleepAudioContext.createOscillator();
-        noSleepOscillator.frequency.value = 0; // Silent
-        
-        // Create gain node and set to silent
-        noSleepGain = noSleepAudioContext.createGain();
-        noSleepGain.gain.value = 0; // Completely silent
-        
-        // Connect: oscillator -> gain -> destination
-        noSleepOscillator.connect(noSleepGain);
-        noSleepGain.connect(noSleepAudioContext.destination);
-        
-        console.log('NoSleep audio context created');
-        return noSleepAudioContext;
-    } catch (e) {
-        console.error('Failed to create audio context:', e);
-        return null;
-    }
+/**
+ * Formats a bound key for display
+ * @param {string} key - Normalized key
+ * @returns {string} - Readable key name
+ */
+function formatShortcutKey(key) {
+    const names = {
+        ArrowUp: '↑',
+        ArrowDown: '↓',
+        ArrowLeft: '←',
+        ArrowRight: '→',
+        PageUp: 'Page Up',
+        PageDown: 'Page Down'
+    };
+    return names[key] || (key.length === 1 ? key.toUpperCase() : key);
 }
 
-// Enable NoSleep using Web Audio API
-async function enableNoSleep() {
-    if (noSleepEnabled) {
-        console.log('NoSleep already enabled');
-        return true;
-    }
-    
-    console.log('Enabling NoSleep using Web Audio API...');
-    
+/**
+ * Gets the key bindings for every command
+ * Saved bindings override the defaults command by command
+ * @returns {Object} - Map of command id to a list of keys
+ */
+function getShortcutBindings() {
+    const bindings = {};
+    KEYBOARD_COMMANDS.forEach(command => {
+        bindings[command.id] = command.keys.slice();
+    });
+
     try {
-        const audioCtx = createNoSleepAudio();
-        
-        if (!audioCtx) {
-            console.error('Could not create audio context');
-            updateWakeLockIndicator('pending');
-            return false;
-        }
-        
-        // Resume audio context (required after user interaction on iOS)
-        if (audioCtx.state === 'suspended') {
-            console.log('Audio context suspended, resuming...');
-            await audioCtx.resume();
-        }
-        
-        // Start the oscillator if not already started
-        if (noSleepOscillator && !noSleepOscillator._started) {
-            noSleepOscillator.start(0);
-            noSleepOscillator._started = true;
-            console.log('NoSleep oscillator started');
-        }
-        
-        // Check if audio context is running
-        if (audioCtx.state === 'running') {
-            noSleepEnabled = true;
-            console.log('NoSleep enabled - audio context running');
-            updateWakeLockIndicator('active');
-            return true;
-        } else {
-            console.log('Audio context state:', audioCtx.state);
-            updateWakeLockIndicator('pending');
-            return false;
+        const saved = JSON.parse(localStorage.getItem(SHORTCUTS_STORAGE_KEY));
+        if (saved && typeof saved === 'object') {
+            Object.keys(bindings).forEach(id => {
+                if (Array.isArray(saved[id]) && saved[id].every(key => typeof key === 'string')) {
+                    bindings[id] = saved[id];
+                }
+            });
         }
-    } catch (err) {
-        console.error('NoSleep enable failed:', err.name, err.message);
-        console.log('Full error:', err);
-        updateWakeLockIndicator('pending');
-        return false;
+    } catch (e) {
+        console.warn('Could not read keyboard shortcuts from localStorage', e);
     }
+
+    return bindings;
 }
 
-// Disable NoSleep
-function disableNoSleep() {
-    if (noSleepAudioContext && noSleepAudioContext.state === 'running') {
-        noSleepAudioContext.suspend();
+/**
+ * Saves key bindings to localStorage
+ * @param {Object} bindings - Map of command id to a list of keys
+ */
+function saveShortcutBindings(bindings) {
+    try {
+        localStorage.setItem(SHORTCUTS_STORAGE_KEY, JSON.stringify(bindings));
+    } catch (e) {
+        console.warn('Could not save keyboard shortcuts to localStorage', e);
     }
-    noSleepEnabled = false;
-    updateWakeLockIndicator('inactive');
-    console.log('NoSleep disabled');
 }
 
-// Request wake lock to prevent screen from turning off
-async function requestWakeLock() {
-    console.log('Attempting to request wake lock...');
-    console.log('Browser:', navigator.userAgent);
-    console.log('Is iOS/iPadOS:', isIOS());
-    
-    // For iOS, use video-based NoSleep as the Wake Lock API is unreliable
-    if (isIOS()) {
-        console.log('iOS detected - using video-based NoSleep approach');
-        
-        // Try to enable NoSleep immediately
-        let noSleepSuccess = await enableNoSleep();
-        
-        // iOS requires user interaction for video autoplay
-        // Set up handlers to enable on first user touch/click if initial attempt failed
-        if (!noSleepSuccess) {
-            console.log('NoSleep requires user interaction - setting up event listeners');
-            
-            const enableOnInteraction = async (event) => {
-                console.log('User interaction detected, enabling NoSleep...');
-                const success = await enableNoSleep();
-                if (success) {
-                    document.removeEventListener('touchstart', enableOnInteraction, true);
-                    document.removeEventListener('touchend', enableOnInteraction, true);
-                    document.removeEventListener('click', enableOnInteraction, true);
-                    console.log('NoSleep enabled after user interaction');
-                }
-            };
-            
-            // Use capture phase and multiple event types for better iOS coverage
-            document.addEventListener('touchstart', enableOnInteraction, { capture: true, passive: true });
-            document.addEventListener('touchend', enableOnInteraction, { capture: true, passive: true });
-            document.addEventListener('click', enableOnInteraction, { capture: true });
-        }
-        
-        // Also try Wake Lock API as a secondary measure (may help on newer iOS)
-        if ('wakeLock' in navigator) {
-            try {
-                wakeLock = await navigator.wakeLock.request('screen');
-                console.log('Wake Lock API also active (as secondary)');
-            } catch (err) {
-                console.log('Wake Lock API unavailable on iOS:', err.message);
+/**
+ * Binds a key to a command, taking it away from any other command
+ * @param {string} commandId - Command to bind
+ * @param {string} key - Normalized key
+ */
+function addShortcutKey(commandId, key) {
+    const bindings = getShortcutBindings();
+    Object.keys(bindings).forEach(id => {
+        bindings[id] = bindings[id].filter(boundKey => boundKey !== key);
+    });
+    bindings[commandId].push(key);
+    saveShortcutBindings(bindings);
+}
+
+/**
+ * Removes a key from a command
+ * @param {string} commandId - Command to unbind
+ * @param {string} key - Normalized key
+ */
+function removeShortcutKey(commandId, key) {
+    const bindings = getShortcutBindings();
+    bindings[commandId] = bindings[commandId].filter(boundKey => boundKey !== key);
+    saveShortcutBindings(bindings);
+}
+
+/**
+ * Restores the default key bindings
+ */
+function resetShortcutBindings() {
+    try {
+        localStorage.removeItem(SHORTCUTS_STORAGE_KEY);
+    } catch (e) {
+        console.warn('Could not clear keyboard shortcuts from localStorage', e);
+    }
+}
+
+/**
+ * Toggles fullscreen for the whole page
+ */
+function toggleFullscreen() {
+    const html = document.documentElement;
+    const fullscreenElement = document.fullscreenElement || document.webkitFullscreenElement;
+
+    try {
+        if (fullscreenElement) {
+            (document.exitFullscreen || document.webkitExitFullscreen).call(document);
+        } else {
+            const request = html.requestFullscreen || html.webkitRequestFullscreen;
+            if (!request) {
+                console.log('Fullscreen is not supported on this device');
+                return;
+            }
+            const result = request.call(html);
+            if (result && result.catch) {
+                result.catch(err => console.log('Fullscreen request failed:', err.message));
             }
         }
-        
-        return noSleepSuccess;
+    } catch (error) {
+        console.error('Error toggling fullscreen:', error);
     }
-    
-    // For non-iOS browsers, use the standard Wake Lock API
-    if (!('wakeLock' in navigator)) {
-        console.warn('Wake Lock API is not supported in this browser.');
-        // Try video-based NoSleep as fallback
-        return await enableNoSleep();
+}
+
+/**
+ * Checks whether the shortcuts overlay is showing
+ * @returns {boolean} - True if the overlay is open
+ */
+function isShortcutsOverlayOpen() {
+    const overlay = document.getElementById('shortcuts-overlay');
+    return !!overlay && !overlay.hidden;
+}
+
+/**
+ * Shows or hides the shortcuts overlay
+ * @param {boolean} [open] - Whether to show it; toggles if omitted
+ */
+function toggleShortcutsOverlay(open = !isShortcutsOverlayOpen()) {
+    const overlay = document.getElementById('shortcuts-overlay');
+    if (!overlay) return;
+
+    shortcutCaptureCommand = null;
+    overlay.hidden = !open;
+    if (open) {
+        renderShortcutsList();
+        const closeButton = document.getElementById('shortcuts-close');
+        if (closeButton) {
+            closeButton.focus();
+        }
     }
-    
-    console.log('Wake Lock API is supported, requesting screen wake lock...');
-    
-    try {
-        wakeLock = await navigator.wakeLock.request('screen');
-        console.log('Wake Lock is active');
-        updateWakeLockIndicator('active');
-        
-        wakeLock.addEventListener('release', () => {
-            console.log('Wake Lock was released (may happen when tab goes to background)');
-            updateWakeLockIndicator('inactive');
+}
+
+/**
+ * Fills the shortcuts overlay with each command and its keys
+ * Clicking a key removes it; "Add key" waits for the next key press
+ */
+function renderShortcutsList() {
+    const list = document.getElementById('shortcuts-list');
+    if (!list) return;
+
+    const bindings = getShortcutBindings();
+    list.innerHTML = '';
+
+    KEYBOARD_COMMANDS.forEach(command => {
+        const row = document.createElement('div');
+        row.className = 'shortcut-row';
+
+        const label = document.createElement('span');
+        label.className = 'shortcut-label';
+        label.textContent = command.label;
+        row.appendChild(label);
+
+        const keys = document.createElement('span');
+        keys.className = 'shortcut-keys';
+        bindings[command.id].forEach(key => {
+            const keyButton = document.createElement('button');
+            keyButton.type = 'button';
+            keyButton.className = 'shortcut-key';
+            keyButton.textContent = formatShortcutKey(key);
+            keyButton.title = 'Remove this key';
+            keyButton.addEventListener('click', () => {
+                removeShortcutKey(command.id, key);
+                renderShortcutsList();
+            });
+            keys.appendChild(keyButton);
         });
-        
-        console.log('Wake Lock state:', wakeLock.released ? 'released' : 'active');
-        
-        if (!wakeLockVisibilityListenerAdded) {
-            wakeLockVisibilityListenerAdded = true;
-            document.addEventListener('visibilitychange', handleVisibilityChangeForWakeLock);
-            console.log('Visibility change listener registered for wake lock reacquisition');
+
+        const addButton = document.createElement('button');
+        addButton.type = 'button';
+        addButton.className = 'shortcut-add';
+        const capturing = shortcutCaptureCommand === command.id;
+        addButton.textContent = capturing ? 'Press a key…' : 'Add key';
+        addButton.classList.toggle('capturing', capturing);
+        addButton.addEventListener('click', () => {
+            shortcutCaptureCommand = capturing ? null : command.id;
+            renderShortcutsList();
+        });
+        keys.appendChild(addButton);
+
+        row.appendChild(keys);
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Handles a key press for the shortcut layer
+ * @param {KeyboardEvent} event - The keydown event
+ */
+function handleShortcutKeydown(event) {
+    // Don't steal keys while typing in a field
+    const target = event.target;
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+        return;
+    }
+
+    // Other dialogs, such as the library, handle their own keys
+    if (document.querySelector('.dialog-overlay:not([hidden]):not(#shortcuts-overlay)')) {
+        return;
+    }
+
+    const key = normalizeShortcutKey(event.key);
+
+    // The usual undo/redo keys work alongside the remappable ones
+    if ((event.ctrlKey || event.metaKey) && !event.altKey && (key === 'z' || key === 'y')) {
+        event.preventDefault();
+        runShortcutCommand(key === 'y' || event.shiftKey ? 'redo' : 'undo');
+        return;
+    }
+
+    // Leave browser and OS shortcuts alone
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+    if (isShortcutsOverlayOpen()) {
+        if (shortcutCaptureCommand) {
+            event.preventDefault();
+            if (key !== 'Escape' && !['Shift', 'Control', 'Alt', 'Meta'].includes(key) && key !== SHORTCUT_HELP_KEY) {
+                addShortcutKey(shortcutCaptureCommand, key);
+            }
+            shortcutCaptureCommand = null;
+            renderShortcutsList();
+        } else if (key === 'Escape' || key === SHORTCUT_HELP_KEY) {
+            event.preventDefault();
+            toggleShortcutsOverlay(false);
         }
-        
-        return true;
-    } catch (err) {
-        console.error('Error requesting wake lock:', err.name, err.message);
-        // Fall back to audio-based approach
-        console.log('Falling back to audio-based NoSleep');
-        return await enableNoSleep();
+        return;
+    }
+
+    if (key === SHORTCUT_HELP_KEY) {
+        event.preventDefault();
+        toggleShortcutsOverlay(true);
+        return;
     }
+
+    const bindings = getShortcutBindings();
+    const command = KEYBOARD_COMMANDS.find(candidate => bindings[candidate.id].includes(key));
+    if (!command || (event.repeat && !command.repeat)) return;
+
+    // Stops Space from also clicking a focused button and PageUp/PageDown from scrolling
+    event.preventDefault();
+
+    runShortcutCommand(command.id);
 }
 
-// Separate handler for visibility changes (to avoid duplicate listeners)
-async function handleVisibilityChangeForWakeLock() {
-    console.log('Visibility changed:', document.visibilityState);
-    
-    if (document.visibilityState === 'visible') {
-        // Re-enable NoSleep on iOS
-        if (isIOS()) {
-            await enableNoSleep();
-        }
-        
-        // Check if wake lock needs reacquisition (null or released)
-        if (wakeLock === null || wakeLock.released) {
-            try {
-                console.log('Reacquiring wake lock after visibility change...');
-                wakeLock = await navigator.wakeLock.request('screen');
-                console.log('Wake Lock reacquired successfully');
-                
-                wakeLock.addEventListener('release', () => {
-                    console.log('Wake Lock was released (may happen when tab goes to background)');
-                });
-            } catch (err) {
-                console.error('Error reacquiring wake lock:', err.name, err.message);
-            }
-        } else {
-            console.log('Wake lock still active, no reacquisition needed');
+/**
+ * Runs a keyboard command, or passes it to the operator console from a display window
+ * @param {string} commandId - Id of the command in KEYBOARD_COMMANDS
+ */
+function runShortcutCommand(commandId) {
+    const command = KEYBOARD_COMMANDS.find(candidate => candidate.id === commandId);
+    if (!command) return;
+
+    try {
+        console.log('Keyboard shortcut:', command.id);
+        if (isDisplayView() && !command.local) {
+            // The operator console owns the schedule
+            sendDisplayCommand(command.id);
+            return;
         }
+        command.action();
+    } catch (error) {
+        console.error(`Error running keyboard shortcut "${command.id}":`, error);
     }
 }
 
-// Release wake lock when not needed
-function releaseWakeLock() {
-    if (wakeLock !== null) {
-        wakeLock.release()
-            .then(() => {
-                wakeLock = null;
-                console.log('Wake Lock released');
-            });
+/**
+ * Sets up the keyboard shortcut layer and its overlay
+ */
+function setupKeyboardShortcuts() {
+    document.addEventListener('keydown', handleShortcutKeydown);
+
+    const overlay = document.getElementById('shortcuts-overlay');
+    const closeButton = document.getElementById('shortcuts-close');
+    const resetButton = document.getElementById('shortcuts-reset');
+
+    if (closeButton) {
+        closeButton.addEventListener('click', () => toggleShortcutsOverlay(false));
+    }
+    if (resetButton) {
+        resetButton.addEventListener('click', () => {
+            resetShortcutBindings();
+            shortcutCaptureCommand = null;
+            renderShortcutsList();
+        });
+    }
+    if (overlay) {
+        // Clicking the backdrop closes the overlay
+        overlay.addEventListener('click', event => {
+            if (event.target === overlay) {
+                toggleShortcutsOverlay(false);
+            }
+        });
     }
 }
 
@@ -1526,12 +6464,36 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Initialize theme
     initializeTheme();
     
+    // A display window shows only the section name and countdown
+    if (isDisplayView()) {
+        document.documentElement.classList.add('display-view');
+    }
+    
     // Set up theme toggle button
     const themeToggle = document.getElementById('theme-toggle');
     if (themeToggle) {
         themeToggle.addEventListener('click', toggleTheme);
     }
     
+    // Set up chime mute button
+    const muteToggle = document.getElementById('mute-toggle');
+    if (muteToggle) {
+        muteToggle.addEventListener('click', toggleMute);
+        updateMuteToggleText();
+    }
+    
+    // Set up the button that opens the audience display window
+    const displayWindowButton = document.getElementById('display-window-button');
+    if (displayWindowButton) {
+        displayWindowButton.addEventListener('click', openDisplayWindow);
+    }
+    
+    // Set up the remote control button
+    const remoteSyncButton = document.getElementById('remote-sync-button');
+    if (remoteSyncButton) {
+        remoteSyncButton.addEventListener('click', configureRemoteSync);
+    }
+    
     // Set up wake lock indicator click handler (allows manual activation)
     const wakeLockIndicator = document.getElementById('wake-lock-indicator');
     if (wakeLockIndicator) {
@@ -1553,6 +6515,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
     
     try {
+        // A configuration saved before the library existed becomes its first entry
+        if (!isDisplayView()) {
+            migrateSavedConfigToLibrary();
+        }
+        
         // Try to load YAML from localStorage first
         const savedYAML = loadYAMLFromStorage();
         if (savedYAML) {
@@ -1578,10 +6545,25 @@ document.addEventListener('DOMContentLoaded', async () => {
             titleElement.textContent = presentationData.title;
         }
         
+        // Pick up a session that was running when the page was closed. Sessions that
+        // hadn't started yet are restored without asking, as nothing has happened to lose
+        const savedSession = isDisplayView() ? null : loadSavedSession();
+        if (savedSession && (!hasSessionStarted(savedSession) || await askToResumeSession(savedSession))) {
+            setScheduleState(savedSession.state);
+            console.log('Resumed saved session');
+        } else if (!isDisplayView()) {
+            // Display windows take the schedule from the operator and leave its session alone
+            // Starting fresh keeps the saved plan loaded above and drops what the run changed
+            clearSavedSession();
+            
+            // Apply schedule rules (such as the hard stop) to the loaded times
+            recalculateTimesFromStart(presentationData.start_time);
+        }
+        
         // Initialize start time input
         const startTimeInput = document.getElementById('start-time-input');
         if (startTimeInput) {
-            startTimeInput.value = presentationData.start_time || formatTime(new Date());
+            updateStartTimeInputs();
             
             // Add change and input handlers for start time
             startTimeInput.addEventListener('change', (event) => {
@@ -1594,6 +6576,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 }
                 
                 console.log('Processed start time:', newStartTime);
+                recordScheduleChange('Start time change', 'start-time');
                 recalculateTimesFromStart(newStartTime);
                 console.log('Recalculation complete, updating display...');
                 updateDisplay();
@@ -1609,6 +6592,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                         newStartTime += ':00';
                     }
                     
+                    recordScheduleChange('Start time change', 'start-time');
                     recalculateTimesFromStart(newStartTime);
                     updateDisplay();
                 }
@@ -1618,6 +6602,10 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Setup all event listeners
         setupEventListeners();
         
+        // Keep display windows and remote devices in sync with this one
+        setupDisplaySync();
+        setupRemoteSync();
+        
         // Start updating display
         updateDisplay();
         setInterval(updateDisplay, 1000);
@@ -1802,8 +6790,14 @@ document.addEventListener('DOMContentLoaded', function() {
     
     // Using global isNarrowScreen and isLandscapeSmallScreen functions
     
+    // Where CSS sets the size, long readouts such as the clock get a smaller one
+    function updateTextLength() {
+        timer.dataset.length = timer.textContent.trim().length > 6 ? 'long' : 'short';
+    }
+    
     // Wrapper function that only calls findOptimalFontSize when appropriate
     function conditionalFontSizing() {
+        updateTextLength();
         // Skip dynamic sizing in narrow screens (portrait) to prevent flickering
         if (isNarrowScreen() && !isLandscapeSmallScreen()) {
             // For narrow screens in portrait mode, let CSS handle it
@@ -1906,6 +6900,14 @@ document.addEventListener('DOMContentLoaded', function() {
                 topRow.appendChild(themeClone);
             }
             
+            // Show the ahead/behind schedule figure
+            const scheduleStatus = header.querySelector('.schedule-status');
+            if (scheduleStatus) {
+                const statusClone = scheduleStatus.cloneNode(true);
+                statusClone.removeAttribute('id');
+                popupMenu.appendChild(statusClone);
+            }
+            
             // Get and clone the Start Time section
             const startTimeSection = header.querySelector('.header-section:nth-child(3)');
             if (startTimeSection) {
@@ -1914,6 +6916,17 @@ document.addEventListener('DOMContentLoaded', function() {
                 popupMenu.appendChild(timeClone);
             }
             
+            // Clone the Previous/Pause/Next buttons, which are hidden with the +/- buttons on small screens
+            const transportRow = document.createElement('div');
+            transportRow.className = 'popup-menu-row popup-transport-row';
+            ['previous-section-button', 'pause-button', 'next-section-button'].forEach(id => {
+                const button = document.getElementById(id);
+                if (button) {
+                    transportRow.appendChild(button.cloneNode(true));
+                }
+            });
+            popupMenu.appendChild(transportRow);
+            
             // Make sure all event listeners are applied to cloned elements
             reattachEventListeners();
         }
@@ -1921,44 +6934,94 @@ document.addEventListener('DOMContentLoaded', function() {
     
     // Re-attach event listeners to cloned elements
     function reattachEventListeners() {
-        // Import/Reset button
+        // Import button and its file input
         const importButton = popupMenu.querySelector('#import-button');
         const fileInput = popupMenu.querySelector('#yaml-file-input');
         if (importButton && fileInput) {
-            importButton.addEventListener('click', () => {
-                if (typeof hasSettingsLoaded === 'function' && hasSettingsLoaded()) {
-                    // Settings are loaded, so reset them
-                    if (typeof resetSettings === 'function') {
-                        resetSettings();
-                    }
-                } else {
-                    // No settings, trigger file import
-                    fileInput.click();
+            importButton.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', (event) => {
+                const selectedFile = event.target.files[0];
+                if (selectedFile && typeof importYAMLFile === 'function') {
+                    importYAMLFile(selectedFile);
+                    // Clear the input so the same file can be selected again
+                    event.target.value = '';
                 }
             });
-            
-            // Update button state
-            if (typeof updateImportButtonState === 'function') {
-                updateImportButtonState();
-            }
+        }
+        
+        // New presentation button
+        const newPresentationButton = popupMenu.querySelector('#new-presentation-button');
+        if (newPresentationButton && typeof toggleNewPresentationDialog === 'function') {
+            newPresentationButton.addEventListener('click', () => toggleNewPresentationDialog(true));
+        }
+        
+        // Library button
+        const libraryButton = popupMenu.querySelector('#library-button');
+        if (libraryButton && typeof toggleLibraryDialog === 'function') {
+            libraryButton.addEventListener('click', () => toggleLibraryDialog(true));
+            updateLibraryButtonState();
+        }
+        
+        // Export button, using the format picker cloned alongside it
+        const exportButton = popupMenu.querySelector('#export-button');
+        const exportFormat = popupMenu.querySelector('#export-format');
+        if (exportButton && typeof exportSchedule === 'function') {
+            exportButton.addEventListener('click', () => exportSchedule(exportFormat ? exportFormat.value : 'yaml'));
+        }
+        
+        // Pause button
+        const pauseButton = popupMenu.querySelector('#pause-button');
+        if (pauseButton && typeof togglePause === 'function') {
+            pauseButton.addEventListener('click', togglePause);
+            updatePauseButtonState();
+        }
+        
+        // Previous/next section buttons
+        const previousButton = popupMenu.querySelector('#previous-section-button');
+        if (previousButton && typeof returnToPreviousSection === 'function') {
+            previousButton.addEventListener('click', returnToPreviousSection);
+        }
+        const nextButton = popupMenu.querySelector('#next-section-button');
+        if (nextButton && typeof advanceToNextSection === 'function') {
+            nextButton.addEventListener('click', advanceToNextSection);
         }
         
         // Now button
         const nowButton = popupMenu.querySelector('#now-button');
-        if (nowButton) {
-            nowButton.addEventListener('click', () => {
-                // Set current time to start time
-                const startTimeInput = popupMenu.querySelector('#start-time-input');
-                if (startTimeInput) {
-                    const now = new Date();
-                    const timeString = formatTime(now);
-                    startTimeInput.value = timeString;
-                    
-                    // Trigger recalculation
-                    const changeEvent = new Event('change', { bubbles: true });
-                    startTimeInput.dispatchEvent(changeEvent);
-                }
-            });
+        if (nowButton && typeof startPresentationNow === 'function') {
+            nowButton.addEventListener('click', startPresentationNow);
+        }
+        
+        // Mute toggle
+        const muteToggle = popupMenu.querySelector('#mute-toggle');
+        if (muteToggle && typeof toggleMute === 'function') {
+            muteToggle.addEventListener('click', toggleMute);
+            updateMuteToggleText();
+        }
+        
+        // Display window button
+        const displayWindowButton = popupMenu.querySelector('#display-window-button');
+        if (displayWindowButton && typeof openDisplayWindow === 'function') {
+            displayWindowButton.addEventListener('click', openDisplayWindow);
+        }
+        
+        // Remote control button
+        const remoteSyncButton = popupMenu.querySelector('#remote-sync-button');
+        if (remoteSyncButton && typeof configureRemoteSync === 'function') {
+            remoteSyncButton.addEventListener('click', configureRemoteSync);
+        }
+        
+        // Undo/redo buttons
+        const undoButton = popupMenu.querySelector('#undo-button');
+        if (undoButton && typeof undoScheduleChange === 'function') {
+            undoButton.addEventListener('click', undoScheduleChange);
+        }
+        const redoButton = popupMenu.querySelector('#redo-button');
+        if (redoButton && typeof redoScheduleChange === 'function') {
+            redoButton.addEventListener('click', redoScheduleChange);
+        }
+        if (typeof updateHistoryButtons === 'function') {
+            updateHistoryButtons();
         }
         
         // Theme toggle
@@ -1996,6 +7059,9 @@ document.addEventListener('DOMContentLoaded', function() {
                 
                 // Call the global recalculateTimesFromStart function
                 if (typeof recalculateTimesFromStart === 'function') {
+                    if (typeof recordScheduleChange === 'function') {
+                        recordScheduleChange('Start time change', 'start-time');
+                    }
                     recalculateTimesFromStart(newStartTime);
                     updateDisplay();
                 }
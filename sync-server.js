@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+/**
+ * Reference relay server for Presentation Timer remote control
+ *
+ * Serves the timer's files over HTTP and relays schedule state between devices
+ * over WebSocket. No dependencies beyond Node.js itself.
+ *
+ * Usage: node sync-server.js [port]
+ * Then open http://<this-computer's-ip>:<port>/?sync=ws://<this-computer's-ip>:<port>
+ * on every device.
+ *
+ * Protocol (JSON text messages):
+ *   Client -> server
+ *     { type: 'hello', origin }                    Join; the server replies with its state
+ *     { type: 'update', origin, baseRevision, state }
+ *                                                  Publish a new schedule state
+ *   Server -> client
+ *     { type: 'state', revision, origin, state }   Current state (state is null if none yet)
+ *     { type: 'conflict', revision, origin, state }
+ *                                                  An update was rejected; adopt this state
+ *
+ * Conflict handling: every accepted update increments the revision. An update is
+ * accepted if it was based on the current revision, or if the current revision
+ * came from the same device (so one device's rapid edits don't conflict with
+ * each other). Otherwise another device changed the schedule first and the
+ * update is rejected.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8080);
+const ROOT = __dirname;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.yaml': 'text/yaml; charset=utf-8',
+    '.yml': 'text/yaml; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+// Shared schedule state
+let revision = 0;
+let currentState = null;
+let currentOrigin = null;
+const clients = new Set();
+
+/**
+ * Serves a file from the timer's directory
+ * @param {http.IncomingMessage} request - HTTP request
+ * @param {http.ServerResponse} response - HTTP response
+ */
+function serveFile(request, response) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+        response.writeHead(400);
+        response.end('Bad request');
+        return;
+    }
+    const filePath = path.join(ROOT, path.normalize(urlPath === '/' ? '/index.html' : urlPath));
+
+    // Only serve files inside the timer's directory, and nothing hidden such as .git
+    const relativePath = path.relative(ROOT, filePath);
+    if (!filePath.startsWith(ROOT + path.sep) || relativePath.split(path.sep).some(part => part.startsWith('.'))) {
+        response.writeHead(403);
+        response.end('Forbidden');
+        return;
+    }
+
+    fs.readFile(filePath, (error, contents) => {
+        if (error) {
+            response.writeHead(404);
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream'
+        });
+        response.end(contents);
+    });
+}
+
+/**
+ * Encodes a message as a single WebSocket frame
+ * @param {string|Buffer} data - Message contents
+ * @param {number} [opcode] - Frame type; text by default
+ * @returns {Buffer} - Frame
+ */
+function encodeFrame(data, opcode = 0x1) {
+    const payload = Buffer.from(data);
+    let header;
+
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Reads complete frames from a client's buffer
+ * @param {Object} client - Client record with a pending buffer
+ * @returns {Array<Object>} - Frames with opcode and payload
+ */
+function readFrames(client) {
+    const frames = [];
+
+    while (client.buffer.length >= 2) {
+        const buffer = client.buffer;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) break;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) break;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        if (length > MAX_MESSAGE_BYTES) {
+            throw new Error('Message too large');
+        }
+
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buffer.length < offset + length) break;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= buffer[maskOffset + (i % 4)];
+            }
+        }
+
+        frames.push({ opcode: opcode, payload: payload });
+        client.buffer = buffer.subarray(offset + length);
+    }
+
+    return frames;
+}
+
+/**
+ * Sends a JSON message to a client
+ * @param {Object} client - Client record
+ * @param {Object} message - Message to send
+ */
+function send(client, message) {
+    if (!client.socket.destroyed) {
+        client.socket.write(encodeFrame(JSON.stringify(message)));
+    }
+}
+
+/**
+ * Handles a protocol message from a client
+ * @param {Object} client - Client record
+ * @param {Object} message - Parsed message
+ */
+function handleMessage(client, message) {
+    if (message.type === 'hello') {
+        client.origin = String(message.origin || '');
+        send(client, { type: 'state', revision: revision, origin: currentOrigin, state: currentState });
+    } else if (message.type === 'update') {
+        const origin = String(message.origin || '');
+        const accepted = message.baseRevision === revision || (currentOrigin !== null && currentOrigin === origin);
+
+        if (!accepted || !message.state || typeof message.state !== 'object') {
+            console.log(`Rejected update from ${origin} based on revision ${message.baseRevision} (now ${revision})`);
+            send(client, { type: 'conflict', revision: revision, origin: currentOrigin, state: currentState });
+            return;
+        }
+
+        revision++;
+        currentState = message.state;
+        currentOrigin = origin;
+        console.log(`Revision ${revision} from ${origin}`);
+
+        clients.forEach(peer => send(peer, { type: 'state', revision: revision, origin: origin, state: currentState }));
+    }
+}
+
+const server = http.createServer(serveFile);
+
+server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || String(request.headers.upgrade).toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+
+    const client = { socket: socket, buffer: Buffer.alloc(0), origin: null };
+    clients.add(client);
+    console.log(`Device connected from ${socket.remoteAddress} (${clients.size} connected)`);
+
+    socket.on('data', data => {
+        client.buffer = Buffer.concat([client.buffer, data]);
+
+        try {
+            readFrames(client).forEach(frame => {
+                if (frame.opcode === 0x8) {
+                    socket.end(encodeFrame('', 0x8));
+                } else if (frame.opcode === 0x9) {
+                    socket.write(encodeFrame(frame.payload, 0xA));
+                } else if (frame.opcode === 0x1) {
+                    handleMessage(client, JSON.parse(frame.payload.toString()));
+                }
+            });
+        } catch (error) {
+            console.error('Dropping device after a bad message:', error.message);
+            socket.destroy();
+        }
+    });
+
+    socket.on('close', () => {
+        clients.delete(client);
+        console.log(`Device disconnected (${clients.size} connected)`);
+    });
+    socket.on('error', error => console.error('Socket error:', error.message));
+});
+
+server.listen(PORT, () => {
+    console.log(`Presentation Timer relay listening on port ${PORT}`);
+    console.log(`Open http://<this-computer's-ip>:${PORT}/?sync=ws://<this-computer's-ip>:${PORT} on each device`);
+});